@@ -0,0 +1,193 @@
+// client/collision.js
+// Port of server/utils/collision.js so the client can predict the local player's
+// movement with exactly the server's rules. Keep the two files in sync.
+
+/**
+ * Checks if a circle and a rectangle are colliding.
+ *
+ * @param {number} cx - X-coordinate of the circle's center.
+ * @param {number} cy - Y-coordinate of the circle's center.
+ * @param {number} rad - Radius of the circle.
+ * @param {number} rx - X-coordinate of the rectangle's top-left corner.
+ * @param {number} ry - Y-coordinate of the rectangle's top-left corner.
+ * @param {number} rw - Width of the rectangle.
+ * @param {number} rh - Height of the rectangle.
+ * @returns {boolean} True if colliding, false otherwise.
+ */
+export function circleRectCollision(cx, cy, rad, rx, ry, rw, rh) {
+    // Temporary variables to set edges for testing
+    let testX = cx;
+    let testY = cy;
+
+    // Which edge is closest?
+    if (cx < rx)         testX = rx;      // Test left edge
+    else if (cx > rx + rw) testX = rx + rw;   // Test right edge
+    if (cy < ry)         testY = ry;      // Test top edge
+    else if (cy > ry + rh) testY = ry + rh;   // Test bottom edge
+
+    // Get distance from closest edges
+    const distX = cx - testX;
+    const distY = cy - testY;
+    const distance = Math.sqrt((distX * distX) + (distY * distY));
+
+    // If the distance is less than the radius, collision!
+    if (distance <= rad) {
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Checks if two circles are colliding.
+ *
+ * @param {number} ax - X-coordinate of the first circle's center.
+ * @param {number} ay - Y-coordinate of the first circle's center.
+ * @param {number} arad - Radius of the first circle.
+ * @param {number} bx - X-coordinate of the second circle's center.
+ * @param {number} by - Y-coordinate of the second circle's center.
+ * @param {number} brad - Radius of the second circle.
+ * @returns {boolean} True if colliding, false otherwise.
+ */
+export function circleCircleCollision(ax, ay, arad, bx, by, brad) {
+    const distX = ax - bx;
+    const distY = ay - by;
+    const combinedRadius = arad + brad;
+    return (distX * distX) + (distY * distY) <= combinedRadius * combinedRadius;
+}
+
+/**
+ * Checks if a circle collides with a map obstacle of either shape.
+ * Rectangles use top-left x/y plus width/height; circles (type "circle") use center x/y plus radius.
+ *
+ * @param {number} cx - X-coordinate of the circle's center.
+ * @param {number} cy - Y-coordinate of the circle's center.
+ * @param {number} rad - Radius of the circle.
+ * @param {{type?:string, x:number, y:number, width?:number, height?:number, radius?:number}} obs - The obstacle.
+ * @returns {boolean} True if colliding, false otherwise.
+ */
+export function collidesWithObstacle(cx, cy, rad, obs) {
+    if (obs.type === 'circle') {
+        return circleCircleCollision(cx, cy, rad, obs.x, obs.y, obs.radius);
+    }
+    return circleRectCollision(cx, cy, rad, obs.x, obs.y, obs.width, obs.height);
+}
+
+/**
+ * Moves a circle along a direction by a distance, keeping it inside the map and
+ * out of obstacles. Blocked axes are clamped against a rectangle's edge, and a corner
+ * hit falls back to sliding along whichever single axis is free. Circular obstacles
+ * push the mover out along their normal, so it slides around them.
+ *
+ * @param {number} x - Current X-coordinate of the circle's center.
+ * @param {number} y - Current Y-coordinate of the circle's center.
+ * @param {number} radius - Radius of the circle.
+ * @param {number} dirX - Movement direction X component (-1..1).
+ * @param {number} dirY - Movement direction Y component (-1..1).
+ * @param {number} distance - Distance to travel along the direction.
+ * @param {Iterable<object>} obstacles - Map obstacles (see collidesWithObstacle).
+ * @param {number} mapWidth - Width of the map.
+ * @param {number} mapHeight - Height of the map.
+ * @returns {{x:number, y:number}} The resolved position.
+ */
+export function resolveMovement(x, y, radius, dirX, dirY, distance, obstacles, mapWidth, mapHeight) {
+    let newX = x + dirX * distance;
+    let newY = y + dirY * distance;
+
+    // Basic boundary collision
+    let proposedX = Math.max(radius, Math.min(mapWidth - radius, newX));
+    let proposedY = Math.max(radius, Math.min(mapHeight - radius, newY));
+
+    // Obstacle collision using circleRectCollision
+    let collisionX = false;
+    let collisionY = false;
+
+    for (const obs of obstacles) {
+        if (obs.type === 'circle') continue; // Resolved after the axis passes
+        // Check collision with proposed X, current Y
+        if (circleRectCollision(proposedX, y, radius, obs.x, obs.y, obs.width, obs.height)) {
+            collisionX = true;
+            // Adjust X: place player next to obstacle
+            if (dirX > 0) proposedX = obs.x - radius - 0.01; // Moving right, place left of obs
+            else if (dirX < 0) proposedX = obs.x + obs.width + radius + 0.01; // Moving left, place right of obs
+            else proposedX = x; // No horizontal movement, revert to current x
+            break;
+        }
+    }
+    // Boundary check for X after potential adjustment
+    proposedX = Math.max(radius, Math.min(mapWidth - radius, proposedX));
+
+
+    for (const obs of obstacles) {
+        if (obs.type === 'circle') continue;
+        // Check collision with (now potentially adjusted) proposed X, and proposed Y
+        if (circleRectCollision(proposedX, proposedY, radius, obs.x, obs.y, obs.width, obs.height)) {
+            collisionY = true;
+            // Adjust Y: place player next to obstacle
+            if (dirY > 0) proposedY = obs.y - radius - 0.01; // Moving down, place above obs
+            else if (dirY < 0) proposedY = obs.y + obs.height + radius + 0.01; // Moving up, place below obs
+            else proposedY = y; // No vertical movement, revert to current y
+            break;
+        }
+    }
+    // Boundary check for Y after potential adjustment
+    proposedY = Math.max(radius, Math.min(mapHeight - radius, proposedY));
+    
+    // Final check: if after adjustments, still colliding (e.g. corner case), try to only allow movement on one axis if the other was blocked.
+    // This is a simple slide. More complex resolution might be needed for perfect cornering.
+    let finalX = proposedX;
+    let finalY = proposedY;
+
+    if (collisionX && collisionY) { // If collided on both axes attempts
+        // Try moving only on Y axis from original position
+        let tempY = y + dirY * distance;
+        tempY = Math.max(radius, Math.min(mapHeight - radius, tempY));
+        let stillCollidesYOnly = false;
+        for (const obs of obstacles) {
+            if (obs.type !== 'circle' && circleRectCollision(x, tempY, radius, obs.x, obs.y, obs.width, obs.height)) {
+                stillCollidesYOnly = true;
+                break;
+            }
+        }
+        if (!stillCollidesYOnly) {
+            finalX = x; // Keep original X
+            finalY = tempY;
+        } else {
+            // Try moving only on X axis from original position
+            let tempX = x + dirX * distance;
+            tempX = Math.max(radius, Math.min(mapWidth - radius, tempX));
+            let stillCollidesXOnly = false;
+            for (const obs of obstacles) {
+                 if (obs.type !== 'circle' && circleRectCollision(tempX, y, radius, obs.x, obs.y, obs.width, obs.height)) {
+                    stillCollidesXOnly = true;
+                    break;
+                }
+            }
+            if (!stillCollidesXOnly) {
+                finalX = tempX;
+                finalY = y; // Keep original Y
+            } else {
+                // Stuck, don't move
+                finalX = x;
+                finalY = y;
+            }
+        }
+    }
+
+    // Push out of any circular obstacle along the line between the centers
+    for (const obs of obstacles) {
+        if (obs.type !== 'circle' || !circleCircleCollision(finalX, finalY, radius, obs.x, obs.y, obs.radius)) continue;
+        let awayX = finalX - obs.x;
+        let awayY = finalY - obs.y;
+        let awayLength = Math.sqrt(awayX * awayX + awayY * awayY);
+        if (awayLength === 0) { // Dead center: back out the way we came
+            awayX = -dirX;
+            awayY = -dirY;
+            awayLength = Math.sqrt(awayX * awayX + awayY * awayY) || 1;
+        }
+        const pushDistance = obs.radius + radius + 0.01;
+        finalX = Math.max(radius, Math.min(mapWidth - radius, obs.x + (awayX / awayLength) * pushDistance));
+        finalY = Math.max(radius, Math.min(mapHeight - radius, obs.y + (awayY / awayLength) * pushDistance));
+    }
+
+    return { x: finalX, y: finalY };
+}
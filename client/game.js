@@ -1,4 +1,5 @@
-import { gameState, dequeueEvents, sendInput, sendChatMessage } from "./net.js";
+import { gameState, dequeueEvents, sendInput, sendChatMessage, getInterpolatedPosition, getInterpolationTime, estimateServerTime, REPLAY_ID, SPECTATING, JOIN_CODE, fetchReplay, fetchMaps, connect } from "./net.js";
+import { resolveMovement } from "./collision.js";
 
 const canvas = document.getElementById('game');
 const ctx = canvas.getContext('2d');
@@ -9,6 +10,28 @@ const globalHumanLivesElement = document.getElementById('globalHumanLives');
 const phaseElement = document.getElementById('phase');
 const chatMessagesElement = document.getElementById('chatMessages');
 const chatInputElement = document.getElementById('chatInput');
+const playerRosterElement = document.getElementById('playerRoster');
+const resultsPanelElement = document.getElementById('resultsPanel');
+const resultsTitleElement = document.getElementById('resultsTitle');
+const scoreboardRowsElement = document.getElementById('scoreboardRows');
+const resultsFooterElement = document.getElementById('resultsFooter');
+const replayControlsElement = document.getElementById('replayControls');
+const replayPlayElement = document.getElementById('replayPlay');
+const replaySeekElement = document.getElementById('replaySeek');
+const replaySpeedElement = document.getElementById('replaySpeed');
+const replayStatusElement = document.getElementById('replayStatus');
+const roomMenuElement = document.getElementById('roomMenu');
+const quickMatchElement = document.getElementById('quickMatch');
+const joinCodeFormElement = document.getElementById('joinCodeForm');
+const joinCodeInputElement = document.getElementById('joinCodeInput');
+const privateRoomFormElement = document.getElementById('privateRoomForm');
+const ruleMapElement = document.getElementById('ruleMap');
+const lobbyPanelElement = document.getElementById('lobbyPanel');
+const lobbyPlayersElement = document.getElementById('lobbyPlayers');
+const lobbyStatusElement = document.getElementById('lobbyStatus');
+const readyButtonElement = document.getElementById('readyButton');
+const roleButtonElement = document.getElementById('roleButton');
+const hostStartButtonElement = document.getElementById('hostStartButton');
 
 // --- Sound Effects (Placeholders) ---
 const sounds = {
@@ -30,7 +53,8 @@ function startFlash(playerId, duration = 200, color = 'rgba(255, 0, 0, 0.5)') {
 function startSkullPop(playerId, duration = 500) {
     const player = gameState.players.get(playerId);
     if (player) {
-        animations.push({ type: 'skull', x: player.x, y: player.y, endTime: Date.now() + duration, radius: 10 });
+        const { x, y } = getRenderPosition(player);
+        animations.push({ type: 'skull', x, y, endTime: Date.now() + duration, radius: 10 });
     }
 }
 
@@ -38,6 +62,22 @@ function startFadeIn(playerId, duration = 500) {
     animations.push({ type: 'fadeIn', targetId: playerId, startTime: Date.now(), duration });
 }
 
+// Expanding shockwave for the gorilla's ground slam, centered where it was used
+function startSlamWave(x, y, radius, duration = 400) {
+    animations.push({ type: 'slam', x, y, radius, startTime: Date.now(), endTime: Date.now() + duration });
+}
+
+// Wedge showing a melee swing's arc, drawn just past the attacker's body so it stays readable
+function startSwingArc(x, y, dirX, dirY, radius, arcDegrees, duration = 200) {
+    animations.push({ type: 'swing', x, y, angle: Math.atan2(dirY, dirX), radius, arc: arcDegrees * Math.PI / 180,
+        startTime: Date.now(), endTime: Date.now() + duration });
+}
+
+// Streak along the gorilla's charge path
+function startChargeTrail(x, y, dirX, dirY, length, duration = 600) {
+    animations.push({ type: 'charge', x, y, dirX, dirY, length, startTime: Date.now(), endTime: Date.now() + duration });
+}
+
 function showBanner(text, duration = 3000) {
     // This will be handled by updating phaseElement directly for simplicity,
     // but could be an animation if more complex visuals are needed.
@@ -67,7 +107,8 @@ function drawAnimations() {
         if (anim.type === 'flash' && player) {
             ctx.beginPath();
             const radius = player.role === 'gorilla' ? 20 : 10;
-            ctx.arc(player.x, player.y, radius + 2, 0, Math.PI * 2); // Slightly larger flash
+            const { x, y } = getRenderPosition(player);
+            ctx.arc(x, y, radius + 2, 0, Math.PI * 2); // Slightly larger flash
             ctx.fillStyle = anim.color;
             ctx.fill();
         } else if (anim.type === 'skull' && anim.x !== undefined) {
@@ -75,6 +116,29 @@ function drawAnimations() {
             ctx.fillStyle = 'white';
             ctx.textAlign = 'center';
             ctx.fillText('💀', anim.x, anim.y); // Simple skull emoji
+        } else if (anim.type === 'slam') {
+            const progress = (now - anim.startTime) / (anim.endTime - anim.startTime);
+            ctx.beginPath();
+            ctx.arc(anim.x, anim.y, anim.radius * progress, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(255, 170, 0, ${1 - progress})`;
+            ctx.lineWidth = 4;
+            ctx.stroke();
+        } else if (anim.type === 'swing') {
+            const progress = (now - anim.startTime) / (anim.endTime - anim.startTime);
+            ctx.beginPath();
+            ctx.moveTo(anim.x, anim.y);
+            ctx.arc(anim.x, anim.y, anim.radius, anim.angle - anim.arc / 2, anim.angle + anim.arc / 2);
+            ctx.closePath();
+            ctx.fillStyle = `rgba(255, 255, 255, ${0.35 * (1 - progress)})`;
+            ctx.fill();
+        } else if (anim.type === 'charge') {
+            const progress = (now - anim.startTime) / (anim.endTime - anim.startTime);
+            ctx.beginPath();
+            ctx.moveTo(anim.x, anim.y);
+            ctx.lineTo(anim.x + anim.dirX * anim.length, anim.y + anim.dirY * anim.length);
+            ctx.strokeStyle = `rgba(255, 80, 0, ${0.6 * (1 - progress)})`;
+            ctx.lineWidth = 6;
+            ctx.stroke();
         } else if (anim.type === 'fadeIn' && player) {
             const elapsed = now - anim.startTime;
             const alpha = Math.min(1, elapsed / anim.duration);
@@ -101,7 +165,7 @@ let camera = {
     y: 0,
     width: 800, // Will be updated
     height: 600, // Will be updated
-    zoom: 1 // Future use
+    zoom: 1 // Only changed by the spectator camera
 };
 
 function resizeCanvas() {
@@ -115,22 +179,140 @@ window.addEventListener('resize', resizeCanvas);
 resizeCanvas();
 
 function updateCamera() {
-    const localPlayer = gameState.players.get(gameState.localPlayerId);
+    // camera.x/y are in map units; the visible area shrinks or grows with zoom
+    const viewWidth = camera.width / camera.zoom;
+    const viewHeight = camera.height / camera.zoom;
+    if (spectatorCamera.active && spectatorCamera.free) {
+        panSpectatorCamera(viewWidth, viewHeight);
+        return;
+    }
+    const localPlayer = gameState.players.get(spectatorCamera.active ? getFollowedPlayerId() : gameState.localPlayerId);
     if (localPlayer) {
-        // Center camera on player, clamping to map boundaries
-        camera.x = Math.max(0, Math.min(localPlayer.x - camera.width / 2, gameState.mapDimensions.width - camera.width));
-        camera.y = Math.max(0, Math.min(localPlayer.y - camera.height / 2, gameState.mapDimensions.height - camera.height));
+        // Center camera on player (the followed one when spectating), clamping to map boundaries
+        const { x, y } = getRenderPosition(localPlayer);
+        camera.x = Math.max(0, Math.min(x - viewWidth / 2, gameState.mapDimensions.width - viewWidth));
+        camera.y = Math.max(0, Math.min(y - viewHeight / 2, gameState.mapDimensions.height - viewHeight));
     } else {
         // If no local player, or map smaller than screen, center map or show default view
-        camera.x = Math.max(0, (gameState.mapDimensions.width - camera.width) / 2);
-        camera.y = Math.max(0, (gameState.mapDimensions.height - camera.height) / 2);
+        camera.x = Math.max(0, (gameState.mapDimensions.width - viewWidth) / 2);
+        camera.y = Math.max(0, (gameState.mapDimensions.height - viewHeight) / 2);
     }
 }
 
+// --- Spectator Camera ---
+// Spectators (?spectate) and replay viewers don't have a player of their own. The camera
+// follows a chosen player (Tab cycles) or detaches (V) to pan freely with WASD; the mouse
+// wheel zooms in either mode.
+const SPECTATOR_PAN_SPEED = 600; // Screen pixels per second
+const SPECTATOR_ZOOM_MIN = 0.25;
+const SPECTATOR_ZOOM_MAX = 2;
+const SPECTATOR_ZOOM_STEP = 1.1; // Per wheel notch
+
+const spectatorCamera = {
+    active: SPECTATING || Boolean(REPLAY_ID),
+    followId: null, // null follows the gorilla
+    free: false,
+    pan: { up: false, down: false, left: false, right: false },
+    lastFrameAt: 0
+};
+
+// The followed player, falling back to the gorilla (then anyone) if they left or none was picked
+function getFollowedPlayerId() {
+    if (gameState.players.has(spectatorCamera.followId)) return spectatorCamera.followId;
+    const players = Array.from(gameState.players.values());
+    const fallback = players.find(p => p.role === 'gorilla') || players[0];
+    return fallback ? fallback.id : null;
+}
+
+function cycleFollowedPlayer() {
+    const ids = Array.from(gameState.players.keys());
+    if (ids.length === 0) return;
+    spectatorCamera.followId = ids[(ids.indexOf(getFollowedPlayerId()) + 1) % ids.length];
+    spectatorCamera.free = false;
+}
+
+function panSpectatorCamera(viewWidth, viewHeight) {
+    const now = performance.now();
+    const frameSeconds = spectatorCamera.lastFrameAt ? Math.min(now - spectatorCamera.lastFrameAt, 100) / 1000 : 0;
+    spectatorCamera.lastFrameAt = now;
+    const { pan } = spectatorCamera;
+    const distance = SPECTATOR_PAN_SPEED * frameSeconds / camera.zoom;
+    camera.x += ((pan.right ? 1 : 0) - (pan.left ? 1 : 0)) * distance;
+    camera.y += ((pan.down ? 1 : 0) - (pan.up ? 1 : 0)) * distance;
+    // Keep at least half the view on the map
+    camera.x = Math.max(-viewWidth / 2, Math.min(camera.x, gameState.mapDimensions.width - viewWidth / 2));
+    camera.y = Math.max(-viewHeight / 2, Math.min(camera.y, gameState.mapDimensions.height - viewHeight / 2));
+}
+
+// Returns true if the key was a spectator camera control
+function handleSpectatorCameraKey(e, pressed) {
+    if (keys[e.key]) {
+        spectatorCamera.pan[keys[e.key]] = pressed;
+        return true;
+    }
+    if (!pressed || e.repeat) return false;
+    if (e.key === 'Tab') {
+        e.preventDefault();
+        cycleFollowedPlayer();
+        return true;
+    }
+    if (e.key === 'v' || e.key === 'V') {
+        spectatorCamera.free = !spectatorCamera.free;
+        spectatorCamera.lastFrameAt = 0;
+        return true;
+    }
+    return false;
+}
+
+canvas.addEventListener('wheel', (e) => {
+    if (!spectatorCamera.active) return;
+    e.preventDefault();
+    // Zoom around the cursor: the map point under it stays put
+    const rect = canvas.getBoundingClientRect();
+    const screenX = e.clientX - rect.left;
+    const screenY = e.clientY - rect.top;
+    const mapX = camera.x + screenX / camera.zoom;
+    const mapY = camera.y + screenY / camera.zoom;
+    const factor = e.deltaY < 0 ? SPECTATOR_ZOOM_STEP : 1 / SPECTATOR_ZOOM_STEP;
+    camera.zoom = Math.max(SPECTATOR_ZOOM_MIN, Math.min(SPECTATOR_ZOOM_MAX, camera.zoom * factor));
+    camera.x = mapX - screenX / camera.zoom;
+    camera.y = mapY - screenY / camera.zoom;
+}, { passive: false });
+
+// HUD line describing what the spectator camera shows
+function getSpectatorCameraStatus() {
+    if (spectatorCamera.free) return "Free camera (WASD to pan, V to follow)";
+    const followed = gameState.players.get(getFollowedPlayerId());
+    return followed ? `Following: ${followed.nickname} (Tab: next, V: free camera)` : "Waiting for players...";
+}
+
+// Every player's HP at a glance, for spectators and replays; gorilla first
+function drawPlayerRoster() {
+    const players = Array.from(gameState.players.values())
+        .sort((a, b) => (b.role === 'gorilla') - (a.role === 'gorilla'));
+    const followedId = spectatorCamera.free ? null : getFollowedPlayerId();
+    playerRosterElement.hidden = false;
+    playerRosterElement.replaceChildren(...players.map(player => {
+        const hpRatio = player.maxHp > 0 ? Math.max(0, Math.min(1, player.hp / player.maxHp)) : 0;
+        const li = document.createElement('li');
+        const marker = player.id === followedId ? '▶ ' : '';
+        li.textContent = `${marker}${player.nickname} (${player.role}) ${player.hp}/${player.maxHp} | Lives: ${player.lives}`; // Nicknames are user input
+        const bar = document.createElement('span');
+        bar.className = 'hpBar';
+        const fill = document.createElement('span');
+        fill.className = 'hpFill';
+        fill.style.width = `${hpRatio * 100}%`;
+        fill.style.backgroundColor = hpRatio > 0.5 ? 'green' : (hpRatio > 0.2 ? 'orange' : 'red');
+        bar.appendChild(fill);
+        li.appendChild(bar);
+        return li;
+    }));
+}
+
 
 // --- Input Handling ---
 let controlsFrozen = false;
-const movement = { up: false, down: false, left: false, right: false };
+const movement = { up: false, down: false, left: false, right: false, sprint: false };
 const keys = {
     ArrowUp: 'up', w: 'up', W: 'up',
     ArrowDown: 'down', s: 'down', S: 'down',
@@ -139,6 +321,19 @@ const keys = {
 };
 
 window.addEventListener('keydown', (e) => {
+    if (replay.active) {
+        if (!handleReplayKey(e)) handleSpectatorCameraKey(e, true);
+        return;
+    }
+    if (spectatorCamera.active && document.activeElement !== chatInputElement) {
+        handleSpectatorCameraKey(e, true);
+        return;
+    }
+    // Map vote hotkeys (1-9) work during results even though controls are frozen
+    if (gameState.gamePhase === 'results' && document.activeElement !== chatInputElement && /^[1-9]$/.test(e.key)) {
+        voteForMap(Number(e.key) - 1);
+        return;
+    }
     if (controlsFrozen && e.key !== 'Enter') return; // Allow Enter for chat even if frozen
 
     if (document.activeElement === chatInputElement) {
@@ -154,13 +349,39 @@ window.addEventListener('keydown', (e) => {
         return;
     }
 
+    if ((gameState.gamePhase === 'lobby' || gameState.gamePhase === 'countdown') && !e.repeat) {
+        if (e.key === 'r' || e.key === 'R') {
+            toggleReady();
+            return;
+        }
+        if (e.key === 'g' || e.key === 'G') {
+            toggleRolePreference();
+            return;
+        }
+    }
+
     if (keys[e.key]) {
         movement[keys[e.key]] = true;
         sendMovementInput();
+    } else if (e.key === 'Shift' && !e.repeat) {
+        movement.sprint = true;
+        sendMovementInput();
+    } else if ((e.key === 'f' || e.key === 'F') && !e.repeat) {
+        sendDodgeInput();
+    } else if (e.key === ' ' && !e.repeat) {
+        sendAttackInput();
+    } else if ((e.key === 'q' || e.key === 'Q') && !e.repeat) {
+        sendAbilityInput("slam");
+    } else if ((e.key === 'e' || e.key === 'E') && !e.repeat) {
+        sendAbilityInput("charge");
     }
 });
 
 window.addEventListener('keyup', (e) => {
+    if (spectatorCamera.active) {
+        handleSpectatorCameraKey(e, false);
+        return;
+    }
     // We don't need to check controlsFrozen here for keyup if keydown is blocked
     if (document.activeElement === chatInputElement && e.key === 'Enter') {
         // Already handled by keydown for chat
@@ -169,6 +390,9 @@ window.addEventListener('keyup', (e) => {
     if (keys[e.key]) {
         movement[keys[e.key]] = false;
         sendMovementInput();
+    } else if (e.key === 'Shift') {
+        movement.sprint = false;
+        sendMovementInput();
     }
 });
 
@@ -187,7 +411,220 @@ function sendMovementInput() {
         dx /= length;
         dy /= length;
     }
-    sendNetInput("i", { dx, dy }); // "i" for input
+
+    if (dx !== 0 || dy !== 0) lastMoveDir = { dx, dy };
+
+    // Sequence-number the input so the server can acknowledge it for reconciliation
+    const seq = ++inputSequence;
+    pendingInputs.push({ seq, dx, dy, time: performance.now() });
+    if (pendingInputs.length > MAX_PENDING_INPUTS) pendingInputs.shift();
+    prediction.dx = dx;
+    prediction.dy = dy;
+    sendInput("i", { dx, dy, seq, sprint: movement.sprint }); // "i" for input
+}
+
+let lastMoveDir = { dx: 0, dy: 1 }; // Last non-zero movement direction, used to aim dodge rolls and the gorilla's charge
+let localMapVote = null; // Map id we voted for in the current results phase
+
+function voteForMap(candidateIndex) {
+    const candidate = gameState.mapCandidates[candidateIndex];
+    if (!candidate) return;
+    localMapVote = candidate.id;
+    sendInput("vote_map", { mapId: candidate.id });
+}
+
+function sendAttackInput() {
+    if (controlsFrozen || !gameState.localPlayerId) return;
+    // Tell the server which moment we were looking at so it can rewind targets to it,
+    // and which way to swing if we're aiming with the mouse (else it uses our movement facing)
+    const payload = { ts: getInterpolationTime() };
+    const aimAngle = getMouseAimAngle();
+    if (aimAngle !== null) payload.angle = aimAngle;
+    sendInput("a", payload);
+}
+
+// --- Mouse Aim ---
+// Once the mouse moves over the canvas, swings aim at the cursor instead of the movement direction.
+let mouseScreenPosition = null;
+
+canvas.addEventListener('mousemove', (e) => {
+    const rect = canvas.getBoundingClientRect();
+    mouseScreenPosition = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+});
+
+canvas.addEventListener('mousedown', (e) => {
+    if (e.button === 0) sendAttackInput();
+});
+
+function getMouseAimAngle() {
+    const localPlayer = gameState.players.get(gameState.localPlayerId);
+    if (!mouseScreenPosition || !localPlayer) return null;
+    const { x, y } = getRenderPosition(localPlayer);
+    return Math.atan2(mouseScreenPosition.y / camera.zoom + camera.y - y, mouseScreenPosition.x / camera.zoom + camera.x - x);
+}
+
+// Direction the next swing will go: our own aim for the local player, the synced facing for others
+function getFacingAngle(player) {
+    if (player.id === gameState.localPlayerId) {
+        const aimAngle = getMouseAimAngle();
+        return aimAngle !== null ? aimAngle : Math.atan2(lastMoveDir.dy, lastMoveDir.dx);
+    }
+    return player.facing || 0;
+}
+
+// Dodge roll towards where we're moving (or last moved); brief invulnerability on the server
+function sendDodgeInput() {
+    if (controlsFrozen || !gameState.localPlayerId) return;
+    const dx = prediction.dx !== 0 || prediction.dy !== 0 ? prediction.dx : lastMoveDir.dx;
+    const dy = prediction.dx !== 0 || prediction.dy !== 0 ? prediction.dy : lastMoveDir.dy;
+    sendInput("dodge", { dx, dy });
+}
+
+// Gorilla special moves; the server ignores these for humans
+function sendAbilityInput(ability) {
+    if (controlsFrozen || !gameState.localPlayerId) return;
+    const localPlayer = gameState.players.get(gameState.localPlayerId);
+    if (!localPlayer || localPlayer.role !== 'gorilla') return;
+    sendInput(ability, ability === "charge" ? { dx: lastMoveDir.dx, dy: lastMoveDir.dy } : {});
+}
+
+// --- Client-Side Prediction ---
+// The local player is moved immediately from our own inputs instead of waiting for
+// 10 Hz server patches. The server acks the last input it integrated (lastInputSeq);
+// on each new state we restart from the authoritative position and replay the inputs
+// it has not seen yet, then blend any leftover error out over a few frames.
+const PREDICTION_STEP_MS = 100; // Matches the server simulation step (PATCH_RATE_MS)
+const PREDICTION_SNAP_DISTANCE = 5; // Corrections larger than this (respawn, etc.) snap instead of blending
+const PREDICTION_CORRECTION_RATE = 10; // Per second, how quickly small corrections are blended out
+const MAX_PENDING_INPUTS = 64;
+
+let inputSequence = 0;
+let pendingInputs = []; // { seq, dx, dy, time } not yet acknowledged by the server
+const prediction = {
+    active: false,
+    x: 0,
+    y: 0,
+    dx: 0, // Current local movement intent
+    dy: 0,
+    errorX: 0, // Visual offset still being blended out after a correction
+    errorY: 0,
+    ackedInput: { dx: 0, dy: 0 }, // Intent the server is currently applying
+    lastAckSeq: 0,
+    rttMs: 100, // Smoothed time from sending an input to seeing it acked
+    lastStateAt: 0,
+    lastFrameAt: 0
+};
+
+function simulateMovement(player, x, y, dx, dy, durationMs) {
+    let position = { x, y };
+    if (dx === 0 && dy === 0) return position;
+    // Step at the server's tick size so collision resolution matches
+    for (let remaining = durationMs; remaining > 0; remaining -= PREDICTION_STEP_MS) {
+        const stepMs = Math.min(PREDICTION_STEP_MS, remaining);
+        position = resolveMovement(position.x, position.y, player.bodyRadius, dx, dy,
+            player.moveSpeed * stepMs / 1000, gameState.obstacles,
+            gameState.mapDimensions.width, gameState.mapDimensions.height);
+    }
+    return position;
+}
+
+function reconcileLocalPlayer(serverPlayer, now) {
+    if (serverPlayer.lastInputSeq > prediction.lastAckSeq) {
+        const ackedInput = pendingInputs.find(input => input.seq === serverPlayer.lastInputSeq);
+        if (ackedInput) {
+            prediction.rttMs = prediction.rttMs * 0.8 + (now - ackedInput.time) * 0.2;
+        }
+        prediction.lastAckSeq = serverPlayer.lastInputSeq;
+    }
+    // Drop inputs the server has already integrated
+    while (pendingInputs.length > 0 && pendingInputs[0].seq <= serverPlayer.lastInputSeq) {
+        prediction.ackedInput = pendingInputs.shift();
+    }
+
+    // The snapshot is about one round trip behind our prediction: replay from there with the
+    // acked intent, switching direction at the moment each pending input was sent.
+    let time = now - prediction.rttMs;
+    let position = { x: serverPlayer.x, y: serverPlayer.y };
+    let dx = prediction.ackedInput.dx;
+    let dy = prediction.ackedInput.dy;
+    for (const input of pendingInputs) {
+        if (input.time > time) {
+            position = simulateMovement(serverPlayer, position.x, position.y, dx, dy, input.time - time);
+            time = input.time;
+        }
+        dx = input.dx;
+        dy = input.dy;
+    }
+    position = simulateMovement(serverPlayer, position.x, position.y, dx, dy, now - time);
+
+    // Keep drawing where we were and blend towards the corrected position
+    const errorX = prediction.x + prediction.errorX - position.x;
+    const errorY = prediction.y + prediction.errorY - position.y;
+    const snap = Math.sqrt(errorX * errorX + errorY * errorY) > PREDICTION_SNAP_DISTANCE;
+    prediction.errorX = snap ? 0 : errorX;
+    prediction.errorY = snap ? 0 : errorY;
+    prediction.x = position.x;
+    prediction.y = position.y;
+}
+
+function updatePrediction() {
+    const now = performance.now();
+    const frameMs = prediction.lastFrameAt ? Math.min(now - prediction.lastFrameAt, 1000) : 0;
+    prediction.lastFrameAt = now;
+
+    const serverPlayer = gameState.players.get(gameState.localPlayerId);
+    if (!serverPlayer || serverPlayer.state !== 'playing' || gameState.gamePhase !== 'round' || controlsFrozen) {
+        prediction.active = false;
+        pendingInputs = [];
+        return;
+    }
+
+    if (!prediction.active) {
+        prediction.active = true;
+        prediction.x = serverPlayer.x;
+        prediction.y = serverPlayer.y;
+        prediction.errorX = 0;
+        prediction.errorY = 0;
+        prediction.ackedInput = { dx: 0, dy: 0 }; // Server resets intent at round start/respawn
+        prediction.lastStateAt = gameState.lastStateAt;
+        if (prediction.dx !== 0 || prediction.dy !== 0) sendMovementInput(); // Re-send keys held across phases
+    } else if (!hasStatusEffect(serverPlayer, 'stun')) { // Stunned players can't move on their own
+        const position = simulateMovement(serverPlayer, prediction.x, prediction.y, prediction.dx, prediction.dy, frameMs);
+        prediction.x = position.x;
+        prediction.y = position.y;
+    }
+
+    if (gameState.lastStateAt !== prediction.lastStateAt) {
+        prediction.lastStateAt = gameState.lastStateAt;
+        reconcileLocalPlayer(serverPlayer, now);
+    }
+
+    const decay = Math.exp(-PREDICTION_CORRECTION_RATE * frameMs / 1000);
+    prediction.errorX *= decay;
+    prediction.errorY *= decay;
+}
+
+// Where to draw a player this frame: the predicted position for the local player,
+// a position interpolated from buffered snapshots for everyone else.
+function getRenderPosition(player) {
+    if (player.id === gameState.localPlayerId) {
+        if (prediction.active) {
+            return { x: prediction.x + prediction.errorX, y: prediction.y + prediction.errorY };
+        }
+        return { x: player.x, y: player.y };
+    }
+    return getInterpolatedPosition(player.id) || { x: player.x, y: player.y };
+}
+
+// Status effects (stun, slow, invulnerable) are synced with their server expiry time
+function hasStatusEffect(player, type) {
+    if (!player.statusEffects) return false;
+    const serverNow = replay.active ? replay.time : estimateServerTime(); // Replays store round-relative times
+    let found = false;
+    player.statusEffects.forEach(effect => {
+        if (effect.type === type && effect.expiresAt > serverNow) found = true;
+    });
+    return found;
 }
 
 // --- Drawing Functions ---
@@ -216,7 +653,11 @@ function drawObstacles() {
     ctx.fillStyle = '#555555'; // Obstacle color
     if (gameState.obstacles && gameState.obstacles.length > 0) {
         gameState.obstacles.forEach(obs => {
-            if (obs && typeof obs.x === 'number' && typeof obs.y === 'number' && typeof obs.width === 'number' && typeof obs.height === 'number') {
+            if (obs && obs.type === 'circle' && typeof obs.x === 'number' && typeof obs.y === 'number' && typeof obs.radius === 'number') {
+                ctx.beginPath();
+                ctx.arc(obs.x, obs.y, obs.radius, 0, Math.PI * 2); // Circle obstacles are centered on x/y
+                ctx.fill();
+            } else if (obs && typeof obs.x === 'number' && typeof obs.y === 'number' && typeof obs.width === 'number' && typeof obs.height === 'number') {
                 ctx.fillRect(obs.x, obs.y, obs.width, obs.height);
             } else {
                 console.warn("Skipping drawing obstacle due to missing properties:", obs);
@@ -233,6 +674,7 @@ function drawPlayer(player) {
         console.warn("Skipping drawing player due to missing essential properties (x, y, hp, maxHp):", player);
         return;
     }
+    const { x, y } = getRenderPosition(player);
 
     let alpha = 1;
     // Check for fade-in animation
@@ -245,6 +687,9 @@ function drawPlayer(player) {
     if (player.hp <= 0 && player.state === 'dead') { // Only apply dead tint if actually dead
         alpha = Math.min(alpha, 0.5); // Make dead players more transparent
     }
+    if (hasStatusEffect(player, 'invulnerable')) { // e.g. dodge-roll i-frames
+        alpha = Math.min(alpha, 0.4);
+    }
 
     ctx.globalAlpha = alpha;
 
@@ -261,7 +706,7 @@ function drawPlayer(player) {
     const color = player.role === 'gorilla' ? 'darkred' : (isLocal ? 'deepskyblue' : 'lightgreen');
 
     ctx.beginPath();
-    ctx.arc(player.x, player.y, radius, 0, Math.PI * 2);
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
     
     // Check for flash animation
     const flashAnim = animations.find(a => a.type === 'flash' && a.targetId === player.id);
@@ -282,13 +727,39 @@ function drawPlayer(player) {
         ctx.stroke();
     }
     ctx.closePath();
+
+    // Status effects: a blue ring while slowed, stars while stunned
+    if (hasStatusEffect(player, 'slow')) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius + 4, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(80, 160, 255, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+    if (hasStatusEffect(player, 'stun')) {
+        ctx.fillStyle = 'yellow';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('★ ★', x, y - radius - 28);
+    }
+
+    // Facing tick, so swings (especially the gorilla's) can be anticipated
+    if (player.state === 'playing') {
+        const facing = getFacingAngle(player);
+        ctx.beginPath();
+        ctx.moveTo(x + Math.cos(facing) * radius, y + Math.sin(facing) * radius);
+        ctx.lineTo(x + Math.cos(facing) * (radius + 6), y + Math.sin(facing) * (radius + 6));
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
     ctx.globalAlpha = 1; // Reset alpha
 
     // Nickname
     ctx.fillStyle = 'white';
     ctx.font = '12px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText(player.nickname, player.x, player.y - radius - 15);
+    ctx.fillText(player.nickname, x, y - radius - 15);
 
     // HP Bar
     if (player.hp > 0) {
@@ -296,20 +767,20 @@ function drawPlayer(player) {
         const hpBarHeight = 5;
         const hpRatio = player.hp / player.maxHp;
         ctx.fillStyle = 'grey';
-        ctx.fillRect(player.x - hpBarWidth / 2, player.y - radius - 10, hpBarWidth, hpBarHeight);
+        ctx.fillRect(x - hpBarWidth / 2, y - radius - 10, hpBarWidth, hpBarHeight);
         ctx.fillStyle = hpRatio > 0.5 ? 'green' : (hpRatio > 0.2 ? 'orange' : 'red');
-        ctx.fillRect(player.x - hpBarWidth / 2, player.y - radius - 10, hpBarWidth * hpRatio, hpBarHeight);
+        ctx.fillRect(x - hpBarWidth / 2, y - radius - 10, hpBarWidth * hpRatio, hpBarHeight);
     }
 
-    // Stamina Bar (if applicable, e.g., for humans or gorilla actions)
-    if (player.stamina !== undefined && player.maxStamina !== undefined && player.maxStamina > 0) {
+    // Stamina Bar (punches, sprinting, dodging and gorilla special moves all draw from `st`)
+    if (typeof player.st === 'number' && player.maxStamina > 0) {
         const staminaBarWidth = 30;
         const staminaBarHeight = 3;
-        const staminaRatio = player.stamina / player.maxStamina;
+        const staminaRatio = Math.max(0, Math.min(1, player.st / player.maxStamina));
         ctx.fillStyle = 'darkblue';
-        ctx.fillRect(player.x - staminaBarWidth / 2, player.y - radius - 5, staminaBarWidth, staminaBarHeight);
+        ctx.fillRect(x - staminaBarWidth / 2, y - radius - 5, staminaBarWidth, staminaBarHeight);
         ctx.fillStyle = 'lightblue';
-        ctx.fillRect(player.x - staminaBarWidth / 2, player.y - radius - 5, staminaBarWidth * staminaRatio, staminaBarHeight);
+        ctx.fillRect(x - staminaBarWidth / 2, y - radius - 5, staminaBarWidth * staminaRatio, staminaBarHeight);
     }
 }
 
@@ -320,15 +791,21 @@ function drawHUD() {
     if (localPlayer) {
         localPlayerStatsElement.innerHTML = `
             HP: ${localPlayer.hp}/${localPlayer.maxHp} | 
-            Stamina: ${localPlayer.stamina !== undefined ? `${localPlayer.stamina}/${localPlayer.maxStamina}` : 'N/A'} | 
+            Stamina: ${typeof localPlayer.st === 'number' ? `${Math.floor(localPlayer.st)}/${localPlayer.maxStamina}` : 'N/A'} | 
             Lives: ${localPlayer.lives !== undefined ? localPlayer.lives : 'N/A'}
         `;
+    } else if (SPECTATING) {
+        localPlayerStatsElement.textContent = `Spectating | ${getSpectatorCameraStatus()}`;
+        drawPlayerRoster();
     } else {
-        localPlayerStatsElement.innerHTML = "Spectating or Connecting...";
+        localPlayerStatsElement.innerHTML = "Connecting...";
     }
 
     // Global Human Lives
     globalHumanLivesElement.innerHTML = `Human Lives: ${gameState.totalHumanLives}`;
+    if (gameState.joinCode) {
+        globalHumanLivesElement.innerHTML += ` | Room code: ${gameState.joinCode}`;
+    }
 
     // Phase Banner & Countdown/Timer
     let phaseText = "";
@@ -340,6 +817,7 @@ function drawHUD() {
 
     switch (gameState.gamePhase) {
         case "lobby":
+            localMapVote = null;
             phaseText = `LOBBY (Waiting for players...)`;
             break;
         case "countdown":
@@ -349,17 +827,7 @@ function drawHUD() {
             phaseText = `ROUND TIME: ${Math.max(0, Math.floor(gameState.roundTime / 1000))}s`;
             break;
         case "results":
-            // Determine winner based on who is alive or game state details
-            let winnerText = "GAME OVER"; 
-            const gorilla = Array.from(gameState.players.values()).find(p => p.role === 'gorilla');
-            if (gorilla && gorilla.hp > 0 && gameState.totalHumanLives <= 0) {
-                winnerText = "GORILLA WINS!";
-            } else if (gameState.totalHumanLives > 0 && (!gorilla || gorilla.hp <= 0)) {
-                winnerText = "HUMANS WIN!";
-            } else if (gameState.roundTime <=0 && gameState.totalHumanLives > 0 && gorilla && gorilla.hp > 0) {
-                winnerText = "TIME'S UP! HUMANS SURVIVED!"; // Or specific tie condition
-            }
-            phaseText = winnerText;
+            phaseText = ""; // The results panel shows the outcome
             break;
         case "connecting":
             phaseText = "CONNECTING TO SERVER...";
@@ -374,19 +842,79 @@ function drawHUD() {
             phaseText = gameState.gamePhase.toUpperCase();
     }
     phaseElement.textContent = phaseText;
-    phaseElement.style.display = (gameState.gamePhase === "active" && gameState.roundTime > 0) ? 'none' : 'block'; // Hide active timer if preferred
+    phaseElement.style.display = (gameState.gamePhase === "active" && gameState.roundTime > 0) || gameState.gamePhase === "results" ? 'none' : 'block'; // Hide active timer if preferred
     if (gameState.gamePhase === "active") { // Show round timer in HUD if phase banner is hidden
         globalHumanLivesElement.innerHTML += ` | Time: ${Math.max(0, Math.floor(gameState.roundTime / 1000))}s`;
     }
 
 
-    // Results Panel (could be combined with phase banner or be a separate element)
+    // Lobby Panel
+    if ((gameState.gamePhase === "lobby" || gameState.gamePhase === "countdown") && localPlayer) {
+        drawLobbyPanel(localPlayer);
+    } else {
+        lobbyPanelElement.hidden = true;
+    }
+
+    // Results Panel
     if (gameState.gamePhase === "results") {
-        // This is already handled by the phase banner logic above.
-        // If a more detailed panel is needed, it would be drawn here or in HTML.
+        drawResultsPanel();
+    } else {
+        resultsPanelElement.hidden = true;
     }
 }
 
+// Banner text for a round result sent by the server, e.g. "gorilla_wins_time_up"
+function getResultText(result) {
+    if (!result) return "GAME OVER";
+    if (result.includes("humans_win")) return "HUMANS WIN!";
+    if (result.includes("gorilla_wins")) return "GORILLA WINS!";
+    if (result.includes("time_up")) return "TIME'S UP! HUMANS SURVIVED!";
+    return result.toUpperCase();
+}
+
+// Role rating after the round and how much it moved, e.g. "1016 (+16)"; bots and guests are unrated
+function formatRatingChange(rating) {
+    if (!rating) return '-';
+    return `${rating.after} (${rating.change >= 0 ? '+' : ''}${rating.change})`;
+}
+
+let renderedScoreboard = null; // Scoreboard currently in the table; rows are only rebuilt when it changes
+
+// Outcome, the server's scoreboard (already sorted) and the next-map vote
+function drawResultsPanel() {
+    const results = gameState.results;
+    resultsPanelElement.hidden = false;
+    resultsTitleElement.textContent = getResultText(results && results.result);
+
+    const scoreboard = results ? results.scoreboard : [];
+    if (scoreboard !== renderedScoreboard) {
+        renderedScoreboard = scoreboard;
+        scoreboardRowsElement.replaceChildren(...scoreboard.map(entry => {
+            const row = document.createElement('tr');
+            if (entry.id === gameState.localPlayerId) row.className = 'local';
+            const name = entry.nickname + (entry.isBot ? ' (bot)' : '') + (entry.left ? ' (left)' : '');
+            const cells = [name, entry.role, entry.kills, entry.damageDealt, entry.damageTaken, entry.hitsLanded,
+                entry.punchesThrown, entry.crits, entry.livesLost, `${entry.timeAlive}s`, formatRatingChange(entry.rating)];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value; // Nicknames are user input
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+    }
+
+    let footerText = `Round seed: ${gameState.roundSeed}`;
+    if (gameState.mapCandidates.length > 0) {
+        footerText += "\nVote next map:";
+        gameState.mapCandidates.forEach((candidate, i) => {
+            const mark = candidate.id === localMapVote ? " ✓" : "";
+            footerText += `\n[${i + 1}] ${candidate.name} (${candidate.votes})${mark}`;
+        });
+    }
+    resultsFooterElement.textContent = footerText;
+}
+
 // --- Chat ---
 window.addChatMessage = function(senderNickname, messageText, isSystem = false) {
     const li = document.createElement('li');
@@ -408,8 +936,8 @@ window.addChatMessage = function(senderNickname, messageText, isSystem = false)
 // --- Event Processing ---
 // `processedEventIds` is now managed in net.js via `dequeueEvents`
 
-function processGameEvents() {
-    const newEvents = dequeueEvents(); // Get only new, unprocessed events
+// Live play handles new server events; the replay viewer passes the events it plays through
+function processGameEvents(newEvents = dequeueEvents()) { // Default: only new, unprocessed events
 
     for (const event of newEvents) {
         console.log("Processing client event:", event);
@@ -435,7 +963,7 @@ function processGameEvents() {
             case 'respawn':
                 playSound('respawn');
                 if (event.playerId) { // playerId from GameEvent schema
-                    fadeIn(event.playerId);
+                    startFadeIn(event.playerId);
                     const playerName = event.playerNickname || event.playerId;
                     addChatMessage(null, `${playerName} respawned.`, true);
                 }
@@ -443,18 +971,26 @@ function processGameEvents() {
             case 'game_over':
                 playSound('gameOver');
                 // event.reason should contain "humans_win", "gorilla_wins", etc.
-                let winnerText = "GAME OVER";
-                if (event.reason) {
-                    if (event.reason.includes("humans_win")) winnerText = "HUMANS WIN!";
-                    else if (event.reason.includes("gorilla_wins")) winnerText = "GORILLA WINS!";
-                    else if (event.reason.includes("time_up")) winnerText = "TIME'S UP! HUMANS SURVIVED!";
-                    else winnerText = event.reason.toUpperCase();
-                }
+                const winnerText = getResultText(event.reason);
                 showBanner(winnerText);
                 addChatMessage(null, `Game Over! ${winnerText}`, true);
                 controlsFrozen = true;
                 console.log("Controls Frozen - Game Over");
                 break;
+            case 'swing':
+                if (event.playerId) {
+                    const attacker = gameState.players.get(event.playerId);
+                    const bodyRadius = attacker && attacker.role === 'gorilla' ? 20 : 10;
+                    startSwingArc(event.x, event.y, event.dirX, event.dirY, bodyRadius + 12 + event.range, event.arc);
+                }
+                break;
+            case 'ability':
+                if (event.ability === 'ground_slam') {
+                    startSlamWave(event.x, event.y, event.range);
+                } else if (event.ability === 'charge') {
+                    startChargeTrail(event.x, event.y, event.dirX, event.dirY, event.range);
+                }
+                break;
             case 'gorilla_assigned':
                 playSound('gorillaAssigned');
                 if (event.playerId) { // playerId from GameEvent schema
@@ -473,25 +1009,332 @@ function processGameEvents() {
 }
 
 
+// --- Lobby ---
+// Between rounds: players ready up and pick a role preference ("r" message). The server starts the
+// countdown once there is a gorilla and enough ready players, or when a private room's host starts it.
+function wantsGorilla(playerId) {
+    return gameState.gorillaPlayerId === playerId || gameState.gorillaQueue.includes(playerId);
+}
+
+function toggleReady() {
+    const localPlayer = gameState.players.get(gameState.localPlayerId);
+    if (localPlayer) sendInput("ready", { ready: !localPlayer.ready });
+}
+
+function toggleRolePreference() {
+    sendInput("r", { role: wantsGorilla(gameState.localPlayerId) ? "human" : "gorilla" });
+}
+
+// Gorilla first, then the gorilla queue in order, then everyone else
+function getLobbyOrder(player) {
+    if (player.id === gameState.gorillaPlayerId) return -1;
+    const queueIndex = gameState.gorillaQueue.indexOf(player.id);
+    return queueIndex > -1 ? queueIndex : gameState.gorillaQueue.length;
+}
+
+function getLobbyStatusText() {
+    if (!gameState.gorillaPlayerId) return "Waiting for someone to queue as gorilla";
+    let readyCount = 0;
+    gameState.players.forEach(p => {
+        if (p.ready && !p.isBot) readyCount++;
+    });
+    if (gameState.gamePhase === "countdown") return `Ready: ${readyCount} (unready to cancel)`;
+    return `Ready: ${readyCount}/${gameState.minReadyPlayers} needed to start`;
+}
+
+function drawLobbyPanel(localPlayer) {
+    const players = Array.from(gameState.players.values()).sort((a, b) => getLobbyOrder(a) - getLobbyOrder(b));
+    lobbyPanelElement.hidden = false;
+    lobbyPlayersElement.replaceChildren(...players.map(player => {
+        const li = document.createElement('li');
+        const queueIndex = gameState.gorillaQueue.indexOf(player.id);
+        let role = player.isBot ? "Human (bot)" : "Human";
+        if (player.id === gameState.gorillaPlayerId) role = "Gorilla";
+        else if (queueIndex > -1) role = `Gorilla queue #${queueIndex + 1}`;
+        const host = player.id === gameState.hostId ? " [host]" : "";
+        li.textContent = `${player.ready ? '✔' : '·'} ${player.nickname}${host} - ${role}`; // Nicknames are user input
+        if (player.id === gameState.localPlayerId) li.className = 'local';
+        return li;
+    }));
+    lobbyStatusElement.textContent = getLobbyStatusText();
+    readyButtonElement.textContent = localPlayer.ready ? "Not ready (R)" : "Ready (R)";
+    roleButtonElement.textContent = wantsGorilla(localPlayer.id) ? "Play as human (G)" : "Queue as gorilla (G)";
+    hostStartButtonElement.hidden = gameState.hostId !== localPlayer.id || gameState.gamePhase !== "lobby";
+}
+
+// Blur after clicking so Space (attack) doesn't press the button again once the round starts
+readyButtonElement.addEventListener('click', (e) => {
+    toggleReady();
+    e.currentTarget.blur();
+});
+roleButtonElement.addEventListener('click', (e) => {
+    toggleRolePreference();
+    e.currentTarget.blur();
+});
+hostStartButtonElement.addEventListener('click', (e) => {
+    sendInput("start_round", {});
+    e.currentTarget.blur();
+});
+
+
+// --- Room Menu ---
+// Shown on load unless the page was opened to spectate, replay, or join a ?room=<code> link:
+// quick match (matchmaking), join a private room by its code, or create one with custom rules.
+function showRoomMenu() {
+    gameState.gamePhase = "menu";
+    roomMenuElement.hidden = false;
+    fetchMaps().then(maps => {
+        ruleMapElement.replaceChildren(...maps.map(map => new Option(map.name, map.id)));
+    }).catch(e => {
+        console.error("Failed to load maps, private rooms will use the default map:", e);
+    });
+}
+
+async function joinFromMenu(target) {
+    roomMenuElement.hidden = true;
+    if (!await connect(target)) {
+        roomMenuElement.hidden = gameState.gamePhase !== "menu"; // Back to the menu after a bad join code
+    }
+}
+
+// Number inputs left empty mean "use the server's default"
+function readRuleInput(id) {
+    const value = document.getElementById(id).valueAsNumber;
+    return Number.isFinite(value) ? value : undefined;
+}
+
+quickMatchElement.addEventListener('click', () => joinFromMenu({}));
+
+joinCodeFormElement.addEventListener('submit', (e) => {
+    e.preventDefault();
+    joinFromMenu({ joinCode: joinCodeInputElement.value });
+});
+
+privateRoomFormElement.addEventListener('submit', (e) => {
+    e.preventDefault();
+    // The server clamps every value to its own bounds (server/utils/roomRules.js)
+    joinFromMenu({
+        privateRules: {
+            map: ruleMapElement.value || undefined,
+            roundDurationSeconds: readRuleInput('ruleRoundDuration'),
+            countdownSeconds: readRuleInput('ruleCountdown'),
+            botTargetTotalHumans: readRuleInput('ruleBotTarget'),
+            minReadyPlayers: readRuleInput('ruleMinReady'),
+            botDifficulty: document.getElementById('ruleBotDifficulty').value || undefined,
+            balance: {
+                gorilla: { health: readRuleInput('ruleGorillaHealth') },
+                human: { lives: readRuleInput('ruleHumanLives') }
+            }
+        }
+    });
+});
+
+
+// --- Replay Viewer ---
+// Opened with ?replay=<id>: plays back a recorded round from its per-tick snapshots (format in
+// server/systems/replayRecorder.js) through the same drawing and event code as live play.
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_SEEK_STEP_MS = 5000;
+const REPLAY_TELEPORT_DISTANCE = 10; // Jumps larger than this (respawns) snap instead of sliding
+// Fields GameEvents default to; replays drop them to stay small
+const REPLAY_EVENT_DEFAULTS = { x: 0, y: 0, dirX: 0, dirY: 0, range: 0, arc: 0, damage: 0 };
+
+const replay = {
+    active: Boolean(REPLAY_ID),
+    data: null,
+    time: 0, // Playhead, ms since the round started
+    playing: false,
+    speedIndex: 1,
+    lastFrameAt: 0
+};
+
+async function startReplay() {
+    gameState.gamePhase = "loading replay";
+    try {
+        replay.data = await fetchReplay(REPLAY_ID);
+    } catch (e) {
+        console.error(e);
+        gameState.gamePhase = "error";
+        return;
+    }
+    const { map } = replay.data;
+    gameState.obstacles = map.obstacles;
+    gameState.mapId = map.id;
+    gameState.mapName = map.name;
+    gameState.mapDimensions = { width: map.width, height: map.height };
+    gameState.gamePhase = "replay";
+    controlsFrozen = true; // Nothing is sent to a server while watching
+
+    replaySeekElement.max = replay.data.durationMs;
+    replayControlsElement.hidden = false;
+    phaseElement.style.display = 'none';
+    seekReplay(0);
+    replay.playing = true;
+}
+
+function seekReplay(time) {
+    replay.time = Math.max(0, Math.min(time, replay.data.durationMs));
+    animations = []; // Effects from before the jump would be out of place
+    applyReplaySnapshot();
+}
+
+// Returns true if the key was a playback control; camera keys are handled by the spectator camera
+function handleReplayKey(e) {
+    if (!replay.data) return false;
+    if (e.key === ' ') {
+        e.preventDefault();
+        toggleReplayPlayback();
+    } else if (e.key === 'ArrowLeft') {
+        seekReplay(replay.time - REPLAY_SEEK_STEP_MS);
+    } else if (e.key === 'ArrowRight') {
+        seekReplay(replay.time + REPLAY_SEEK_STEP_MS);
+    } else if (e.key === '-' || e.key === '+' || e.key === '=') {
+        const step = e.key === '-' ? -1 : 1;
+        replay.speedIndex = Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, replay.speedIndex + step));
+        replaySpeedElement.value = String(replay.speedIndex);
+    } else {
+        return false;
+    }
+    return true;
+}
+
+function toggleReplayPlayback() {
+    if (!replay.playing && replay.time >= replay.data.durationMs) {
+        seekReplay(0); // Play again from the start
+    }
+    replay.playing = !replay.playing;
+}
+
+replayPlayElement.addEventListener('click', () => {
+    if (replay.data) toggleReplayPlayback();
+});
+replaySeekElement.addEventListener('input', () => {
+    if (replay.data) seekReplay(Number(replaySeekElement.value));
+});
+replaySpeedElement.addEventListener('change', () => {
+    replay.speedIndex = Number(replaySpeedElement.value);
+});
+
+// Index of the last snapshot at or before `time`
+function findReplaySnapshotIndex(time) {
+    const snapshots = replay.data.snapshots;
+    let low = 0;
+    let high = snapshots.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (snapshots[mid][0] <= time) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+function updateReplay() {
+    const now = performance.now();
+    const frameMs = replay.lastFrameAt ? Math.min(now - replay.lastFrameAt, 1000) : 0;
+    replay.lastFrameAt = now;
+    if (!replay.data || replay.data.snapshots.length === 0) return;
+
+    if (replay.playing) {
+        const previousTime = replay.time;
+        replay.time = Math.min(replay.time + frameMs * REPLAY_SPEEDS[replay.speedIndex], replay.data.durationMs);
+        if (replay.time >= replay.data.durationMs) replay.playing = false;
+
+        // Play the events of every snapshot the playhead passed this frame
+        const events = [];
+        for (let i = findReplaySnapshotIndex(previousTime); i < replay.data.snapshots.length; i++) {
+            const [snapshotTime, , snapshotEvents] = replay.data.snapshots[i];
+            if (snapshotTime > replay.time) break;
+            if (snapshotTime > previousTime) {
+                snapshotEvents.forEach(event => events.push({ ...REPLAY_EVENT_DEFAULTS, ...event }));
+            }
+        }
+        processGameEvents(events);
+    }
+    applyReplaySnapshot();
+}
+
+// Rebuilds gameState.players for the playhead, interpolating positions between snapshots
+function applyReplaySnapshot() {
+    const snapshots = replay.data.snapshots;
+    if (snapshots.length === 0) return;
+    const index = findReplaySnapshotIndex(replay.time);
+    const [snapshotTime, playerStates] = snapshots[index];
+    const next = snapshots[index + 1];
+    const t = next ? Math.max(0, Math.min(1, (replay.time - snapshotTime) / (next[0] - snapshotTime))) : 0;
+    const nextStates = new Map(next ? next[1].map(state => [state[0], state]) : []);
+
+    gameState.players.clear();
+    let totalHumanLives = 0;
+    for (const [id, x, y, hp, lives, st, state, facing, effects] of playerStates) {
+        const info = replay.data.players[id] || {};
+        const after = nextStates.get(id);
+        const slide = after && Math.hypot(after[1] - x, after[2] - y) <= REPLAY_TELEPORT_DISTANCE;
+        gameState.players.set(id, {
+            id,
+            nickname: info.nickname,
+            role: info.role,
+            isBot: info.isBot,
+            maxHp: info.maxHp,
+            maxStamina: info.maxStamina,
+            x: slide ? x + (after[1] - x) * t : x,
+            y: slide ? y + (after[2] - y) * t : y,
+            hp,
+            lives,
+            st,
+            state,
+            facing,
+            statusEffects: effects.map(([type, expiresAt, magnitude]) => ({ type, expiresAt, magnitude }))
+        });
+        if (info.role === 'human' && state !== 'dead') totalHumanLives += lives;
+    }
+    gameState.totalHumanLives = totalHumanLives;
+}
+
+function formatReplayTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function drawReplayHUD() {
+    const { data } = replay;
+    localPlayerStatsElement.textContent = `Replay: ${gameState.mapName} | Seed: ${data.seed} | ${getSpectatorCameraStatus()}`;
+    drawPlayerRoster();
+    globalHumanLivesElement.innerHTML = `Human Lives: ${gameState.totalHumanLives}`;
+    replayPlayElement.textContent = replay.playing ? 'Pause' : 'Play';
+    if (document.activeElement !== replaySeekElement) {
+        replaySeekElement.value = String(replay.time);
+    }
+    const ended = replay.time >= data.durationMs ? ` | ${getResultText(data.result)}` : '';
+    replayStatusElement.textContent = `${formatReplayTime(replay.time)} / ${formatReplayTime(data.durationMs)}${ended}`;
+}
+
 // --- Main Game Loop ---
 function gameLoop(timestamp) {
     requestAnimationFrame(gameLoop);
 
     // Prevent game logic and drawing if not connected or in a non-active state
-    if (!gameState.localPlayerId ||
+    if (replay.active ? gameState.gamePhase !== "replay" : (
+        !gameState.localPlayerId ||
         gameState.gamePhase === "connecting" ||
         gameState.gamePhase === "error" ||
-        gameState.gamePhase === "disconnected") {
+        gameState.gamePhase === "disconnected")) {
         // Still draw a basic screen or message for these states if desired
         ctx.fillStyle = '#111';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
         ctx.font = "20px Arial";
         ctx.fillStyle = "white";
         ctx.textAlign = "center";
-        ctx.fillText(gameState.gamePhase.toUpperCase() + "...", canvas.width / 2, canvas.height / 2);
+        if (gameState.gamePhase !== "menu") { // The room menu covers the screen
+            ctx.fillText(gameState.gamePhase.toUpperCase() + "...", canvas.width / 2, canvas.height / 2);
+        }
         return;
     }
 
+    if (replay.active) {
+        updateReplay(); // Advance the playhead and rebuild players from the recording
+    } else {
+        updatePrediction(); // Advance and reconcile the locally predicted player
+    }
     updateCamera(); // Update camera based on player position and map size
 
     // Clear viewport (everything outside map is plain background)
@@ -499,6 +1342,7 @@ function gameLoop(timestamp) {
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
     ctx.save();
+    ctx.scale(camera.zoom, camera.zoom);
     ctx.translate(-camera.x, -camera.y); // Apply camera transformation
 
     // --- Drawing world elements (relative to map) ---
@@ -510,6 +1354,10 @@ function gameLoop(timestamp) {
     ctx.restore(); // Restore context to draw HUD elements in screen space
 
     // --- Drawing UI elements (fixed on screen) ---
+    if (replay.active) {
+        drawReplayHUD();
+        return;
+    }
     drawHUD();
     processGameEvents(); // Process and display effects for new events
 }
@@ -530,4 +1378,9 @@ chatInputElement.addEventListener('keypress', function(e) {
 
 // Start the game loop
 console.log("game.js loaded, starting game loop. Waiting for connection...");
+if (replay.active) {
+    startReplay();
+} else if (!SPECTATING && !JOIN_CODE) {
+    showRoomMenu();
+}
 gameLoop();
\ No newline at end of file
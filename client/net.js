@@ -1,19 +1,44 @@
 // net.js (ES module)
 // client/net.js  (top of file)
-const client = new Colyseus.Client("wss://gorilla-vs-humans-io.onrender.com");
+const SERVER_URL = "wss://gorilla-vs-humans-io.onrender.com";
+const client = new Colyseus.Client(SERVER_URL);
+const SERVER_HTTP_URL = SERVER_URL.replace(/^ws/, "http"); // Same host, for REST endpoints (replays)
+
+// Opening the page with ?replay=<id> shows a recorded round instead of joining a room
+export const REPLAY_ID = new URLSearchParams(window.location.search).get("replay");
+// ?spectate joins as a spectator: no player slot, the server only needs a periodic heartbeat.
+// Plain ?spectate watches the busiest public room; ?spectate=<roomId> watches that room.
+// Either works even when the room's player slots are full.
+export const SPECTATING = new URLSearchParams(window.location.search).has("spectate");
+const SPECTATE_ROOM_ID = new URLSearchParams(window.location.search).get("spectate") || null;
+// ?room=<code> joins a private room straight away, skipping the room menu (see game.js)
+export const JOIN_CODE = new URLSearchParams(window.location.search).get("room");
+const SPECTATOR_HEARTBEAT_MS = 5000; // Well inside the server's SPECTATOR_TIMEOUT_MS
 window.colyseusRoom = null; // Expose room globally for game.js to send inputs
 
 // gameState will be populated by server updates and consumed by game.js
 export const gameState = {
     players: new Map(),
-    obstacles: [], // Assuming obstacles are static or sent once
-    gamePhase: "connecting", // e.g., "lobby", "countdown", "active", "results"
+    obstacles: [], // Static per map; refreshed when mapId changes
+    mapId: "",
+    mapName: "",
+    mapCandidates: [], // Next-map vote options during results: { id, name, votes }
+    roundSeed: 0, // PRNG seed of the current/last round, shown with results for bug reports
+    joinCode: "", // Set in private rooms: the code others join with
+    hostId: "", // Private rooms: the player who can start the round early
+    minReadyPlayers: 0, // Ready players the lobby waits for
+    gorillaQueue: [], // Session ids waiting for the gorilla role, in queue order
+    gorillaPlayerId: null,
+    results: null, // From the "game_over" message: { result, scoreboard: [per-player stats, best first] }
+    gamePhase: "connecting", // e.g., "menu", "lobby", "countdown", "active", "results"
     countdown: 0,
     roundTime: 0,
     totalHumanLives: 0,
     localPlayerId: null,
+    profileId: null, // Our persistent profile (GET /api/profile/:id)
     events: [], // This will be an array of event objects from the server {id, ts, type, ...data}
-    mapDimensions: { width: 800, height: 600 } // Default, should be updated by server
+    mapDimensions: { width: 800, height: 600 }, // Default, should be updated by server
+    lastStateAt: 0 // performance.now() of the latest state patch, lets game.js detect new snapshots
 };
 
 const processedEventIds = new Set();
@@ -43,6 +68,101 @@ export function dequeueEvents() {
     return newEvents;
 }
 
+// --- Snapshot Interpolation ---
+// Remote humans, bots and the gorilla are drawn about one patch interval in the past,
+// so there are normally two server snapshots to interpolate between. When packets are
+// late we extrapolate from the last known velocity for a short while instead of freezing.
+const INTERPOLATION_DELAY_MS = 100; // One server patch (PATCH_RATE_MS on the server)
+const MAX_EXTRAPOLATION_MS = 250;
+const SNAPSHOT_BUFFER_MS = 1000; // How much history to keep
+const TELEPORT_DISTANCE = 10; // Jumps larger than this (respawns) snap instead of sliding
+
+const snapshotBuffer = []; // { serverTime, positions: Map<id, {x, y}> }, oldest first
+let serverClockOffset = null; // Smoothed serverTime - performance.now()
+
+function recordSnapshot(state) {
+    if (typeof state.serverTime !== 'number' || !state.players) return;
+    const latest = snapshotBuffer[snapshotBuffer.length - 1];
+    if (latest && state.serverTime <= latest.serverTime) return; // Same tick, or out of order
+
+    // Copy positions: schema objects are mutated in place by later patches
+    const positions = new Map();
+    state.players.forEach((player, sessionId) => {
+        positions.set(sessionId, { x: player.x, y: player.y });
+    });
+    snapshotBuffer.push({ serverTime: state.serverTime, positions });
+    while (snapshotBuffer.length > 2 && state.serverTime - snapshotBuffer[0].serverTime > SNAPSHOT_BUFFER_MS) {
+        snapshotBuffer.shift();
+    }
+
+    const offsetSample = state.serverTime - performance.now();
+    if (serverClockOffset === null || Math.abs(offsetSample - serverClockOffset) > SNAPSHOT_BUFFER_MS) {
+        serverClockOffset = offsetSample; // First sample, or the server clock jumped
+    } else {
+        serverClockOffset = serverClockOffset * 0.9 + offsetSample * 0.1;
+    }
+}
+
+// Best guess of the server's clock right now, based on recent snapshots.
+export function estimateServerTime() {
+    return serverClockOffset === null ? 0 : performance.now() + serverClockOffset;
+}
+
+// Server time that remote entities are currently rendered at. Sent with attacks so the
+// server can rewind targets to what this client actually saw (lag compensation).
+export function getInterpolationTime() {
+    return estimateServerTime() - INTERPOLATION_DELAY_MS;
+}
+
+// Position of a player at `renderTime` (server clock), interpolated between buffered
+// snapshots. Returns null if the player is not in the buffer yet.
+export function getInterpolatedPosition(playerId, renderTime = getInterpolationTime()) {
+    let previous = null;
+    let older = null;
+    let newer = null;
+    for (const snapshot of snapshotBuffer) {
+        const position = snapshot.positions.get(playerId);
+        if (!position) continue;
+        if (snapshot.serverTime <= renderTime) {
+            previous = older;
+            older = { time: snapshot.serverTime, x: position.x, y: position.y };
+        } else {
+            newer = { time: snapshot.serverTime, x: position.x, y: position.y };
+            break;
+        }
+    }
+
+    if (older && newer) {
+        if (Math.hypot(newer.x - older.x, newer.y - older.y) > TELEPORT_DISTANCE) return newer;
+        const t = (renderTime - older.time) / (newer.time - older.time);
+        return { x: older.x + (newer.x - older.x) * t, y: older.y + (newer.y - older.y) * t };
+    }
+    if (newer) return { x: newer.x, y: newer.y }; // Render time is older than our history
+    if (!older) return null;
+
+    // Snapshots are late: extrapolate from the last known velocity, but only briefly
+    if (previous && Math.hypot(older.x - previous.x, older.y - previous.y) <= TELEPORT_DISTANCE) {
+        const aheadMs = Math.min(renderTime - older.time, MAX_EXTRAPOLATION_MS);
+        const spanMs = older.time - previous.time;
+        return {
+            x: older.x + (older.x - previous.x) * aheadMs / spanMs,
+            y: older.y + (older.y - previous.y) * aheadMs / spanMs
+        };
+    }
+    return { x: older.x, y: older.y };
+}
+
+// Matchmaking region tag (e.g. "eu"): ?region=<tag> sets it and it is remembered; the server
+// falls back to its default region when none (or an invalid one) is sent
+function getRegion() {
+    const region = new URLSearchParams(window.location.search).get("region");
+    if (region) {
+        localStorage.setItem('region', region);
+        return region;
+    }
+    return localStorage.getItem('region') || undefined;
+}
+
 // Function to get/set nickname from localStorage
 function getPlayerNickname() {
     let nickname = localStorage.getItem('playerNickname');
@@ -58,17 +178,53 @@ function getPlayerNickname() {
 }
 
 
-async function connect() {
+// Join codes are shown upper case, but typing them in any case works
+function normalizeJoinCode(code) {
+    return code.trim().toUpperCase();
+}
+
+/**
+ * Joins a room: by matchmaking by default, or a private room by its join code, or a new private room.
+ * Spectating (?spectate) ignores the target.
+ * @param {{joinCode?: string, privateRules?: object}} [target] - `privateRules` creates a private room
+ *        with those rules (see server/utils/roomRules.js for the accepted fields and their bounds).
+ * @returns {Promise<boolean>} Whether we got into a room.
+ */
+export async function connect(target = {}) {
+    gameState.gamePhase = "connecting";
     try {
         const nickname = getPlayerNickname();
-        const room = await client.joinOrCreate("game_room", { nickname: nickname });
+        // The token identifies our persistent profile; the server issues one on the first join
+        const token = localStorage.getItem('playerToken');
+        const options = { nickname: nickname, spectate: SPECTATING, token: token, region: getRegion() };
+        let room;
+        if (SPECTATE_ROOM_ID) {
+            room = await client.joinById(SPECTATE_ROOM_ID, options);
+        } else if (SPECTATING) {
+            // Watch a running room, never open an empty one. Not through matchmaking, which
+            // would only offer rooms in our own rating band with a free player slot.
+            const rooms = await fetchRooms();
+            if (rooms.length === 0) {
+                alert("There are no games to watch right now.");
+                gameState.gamePhase = "error";
+                return false;
+            }
+            room = await client.joinById(rooms[0].roomId, options);
+        } else if (target.joinCode) {
+            room = await client.joinById(normalizeJoinCode(target.joinCode), options); // A private room's id is its code
+        } else if (target.privateRules) {
+            room = await client.create("game_room", { ...options, private: true, rules: target.privateRules });
+        } else {
+            room = await client.joinOrCreate("game_room", options); // Server matches us by region and rating
+        }
         window.colyseusRoom = room;
-        gameState.localPlayerId = room.sessionId;
+        gameState.localPlayerId = room.sessionId; // Never in state.players when spectating
         console.log("Joined successfully!", room.sessionId, room.name);
+        const heartbeat = SPECTATING ? setInterval(() => room.send("spec_hb"), SPECTATOR_HEARTBEAT_MS) : null;
 
         // Initial state might contain static elements like obstacles
-        if (room.state.obstacles) {
-            gameState.obstacles = Array.from(room.state.obstacles); // Assuming obstacles is an ArraySchema
+        if (room.state.mapObstacles) {
+            gameState.obstacles = Array.from(room.state.mapObstacles); // mapObstacles is an ArraySchema
         }
         if (room.state.mapWidth && room.state.mapHeight) {
             gameState.mapDimensions = { width: room.state.mapWidth, height: room.state.mapHeight };
@@ -78,14 +234,18 @@ async function connect() {
         // Listen to state changes
         room.onStateChange((state) => {
             // console.log("Full state update:", JSON.parse(JSON.stringify(state)));
+            gameState.lastStateAt = performance.now();
+            recordSnapshot(state);
             if (state.players) {
                 gameState.players.clear();
                 state.players.forEach((player, sessionId) => {
                     gameState.players.set(sessionId, player);
                 });
             }
-            if (state.obstacles && gameState.obstacles.length === 0) { // Only set once if not already set
-                 gameState.obstacles = Array.from(state.obstacles);
+            if (state.mapObstacles && (gameState.obstacles.length === 0 || state.mapId !== gameState.mapId)) { // Only on first state or map change
+                 gameState.obstacles = Array.from(state.mapObstacles);
+                 gameState.mapId = state.mapId;
+                 gameState.mapName = state.mapName;
             }
             if (state.mapWidth && state.mapHeight) {
                 gameState.mapDimensions = { width: state.mapWidth, height: state.mapHeight };
@@ -95,6 +255,13 @@ async function connect() {
             gameState.countdown = state.countdown !== undefined ? state.countdown : gameState.countdown;
             gameState.roundTime = state.roundTime !== undefined ? state.roundTime : gameState.roundTime;
             gameState.totalHumanLives = state.totalHumanLives !== undefined ? state.totalHumanLives : gameState.totalHumanLives;
+            gameState.mapCandidates = state.mapCandidates ? Array.from(state.mapCandidates) : [];
+            gameState.roundSeed = state.roundSeed !== undefined ? state.roundSeed : gameState.roundSeed;
+            gameState.joinCode = state.joinCode || "";
+            gameState.hostId = state.hostId || "";
+            gameState.minReadyPlayers = state.minReadyPlayers || 0;
+            gameState.gorillaQueue = state.gorillaQueue ? Array.from(state.gorillaQueue) : [];
+            gameState.gorillaPlayerId = state.gorillaPlayerId || null;
             
             // Server now handles event pruning. Client just consumes.
             if (state.events) {
@@ -111,8 +278,15 @@ async function connect() {
         room.onMessage("*", (type, message) => {
             console.log("Received message:", type, message);
             // Example: if server sends a direct chat message or a specific non-state event
-            if (type === "chat_message" && window.addChatMessage) {
+            if (type === "welcome") {
+                if (message.token) localStorage.setItem('playerToken', message.token);
+                gameState.profileId = message.profileId || null;
+            } else if (type === "chat_message" && window.addChatMessage) {
                 window.addChatMessage(message.sender, message.text);
+            } else if (type === "game_over") {
+                gameState.results = { result: message.result, scoreboard: message.scoreboard || [] };
+            } else if (type === "round_started") {
+                gameState.results = null;
             }
             // The P1 requirement for events (hit, kill, respawn, etc.) will be handled by `state.events`
             // and processed in game.js based on their `type` and `ts`.
@@ -125,20 +299,59 @@ async function connect() {
 
         room.onLeave((code) => {
             console.log("Left room, code:", code);
+            clearInterval(heartbeat);
             window.colyseusRoom = null;
             gameState.gamePhase = "disconnected";
             // Optionally, clear other parts of gameState or redirect
         });
+        return true;
 
     } catch (e) {
         console.error("JOIN ERROR", e);
+        if (target.joinCode) {
+            // Most likely a mistyped code, or the room has closed or filled up; let the player try again
+            alert(`Could not join room ${normalizeJoinCode(target.joinCode)}: ${e.message}`);
+            gameState.gamePhase = "menu";
+            return false;
+        }
         alert("Could not connect to the server. Please ensure it's running and accessible. Check console for details.");
         gameState.gamePhase = "error";
+        return false;
     }
 }
 
-// Auto-connect on load
-connect();
+// Spectators and ?room= links connect on load; everyone else picks from the room menu in game.js.
+// Replay viewing is offline.
+if (!REPLAY_ID && (SPECTATING || JOIN_CODE)) {
+    connect({ joinCode: JOIN_CODE });
+}
+
+// Public rooms to watch, busiest first: [{ roomId, clients, full, region }]
+async function fetchRooms() {
+    const response = await fetch(`${SERVER_HTTP_URL}/api/rooms`);
+    if (!response.ok) {
+        throw new Error(`Failed to list rooms: HTTP ${response.status}`);
+    }
+    return (await response.json()).rooms;
+}
+
+// Maps a private room can be created with: [{ id, name }]
+export async function fetchMaps() {
+    const response = await fetch(`${SERVER_HTTP_URL}/api/maps`);
+    if (!response.ok) {
+        throw new Error(`Failed to load maps: HTTP ${response.status}`);
+    }
+    return (await response.json()).maps;
+}
+
+// Downloads a recorded round (format documented in server/systems/replayRecorder.js)
+export async function fetchReplay(replayId) {
+    const response = await fetch(`${SERVER_HTTP_URL}/api/replays/${encodeURIComponent(replayId)}`);
+    if (!response.ok) {
+        throw new Error(`Failed to load replay ${replayId}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
 
 // Expose a function to send input to the server
 export function sendInput(type, payload) {
@@ -1,11 +1,14 @@
 const http = require('http');
 const express = require('express');
 const cors = require('cors');
-const { Server } = require('colyseus');
+const { Server, matchMaker } = require('colyseus');
 const { WebSocketTransport } = require('@colyseus/ws-transport');
 
 // Import your Room handlers
 const { MatchRoom } = require('./rooms/MatchRoom'); // Ensure this path is correct
+const { listReplays, getReplayPath } = require('./utils/replayStore');
+const { getProfile, getMatch } = require('./utils/profileStore');
+const { loadMap, listMaps } = require('./utils/mapLoader');
 
 const port = Number(process.env.PORT) || 2567;
 const app = express();
@@ -27,8 +30,14 @@ const gameServer = new Server({
 
 // Define "game_room"
 // Clients will join this room by name: `client.joinOrCreate("game_room", { options })`
+// Matchmaking: players only share a room with the same region tag and rating band (both set by
+// MatchRoom.onAuth), and the fullest matching room is filled before a new one is created. Rooms
+// with every player slot taken are listed as `full` (see MatchRoom.updateMatchmakingFull) and skipped.
+// Private rooms (`client.create("game_room", { private: true, rules })`) are never matched;
+// they are joined by id, which is their short join code.
 gameServer.define('game_room', MatchRoom)
-  // .filterBy(['maxClients', 'mode']) // Example: if you wanted to filter rooms by options
+  .filterBy(['region', 'ratingBand', 'full'])
+  .sortBy({ clients: -1 })
   .on("create", (room) => console.log("Room created:", room.roomId))
   .on("dispose", (room) => console.log("Room disposed:", room.roomId))
   .on("join", (room, client) => console.log(client.sessionId, "joined", room.roomId))
@@ -39,6 +48,85 @@ app.get('/', (req, res) => {
   res.send('Gorilla vs Humans Colyseus Server is running!');
 });
 
+// Arenas a private room can be created with
+app.get('/api/maps', (req, res) => {
+  const maps = [];
+  for (const id of listMaps()) {
+    try {
+      maps.push({ id, name: loadMap(id).metadata.name });
+    } catch (e) {
+      console.error(`Skipping map "${id}" in list:`, e.message);
+    }
+  }
+  res.json({ maps });
+});
+
+// Public rooms a spectator can watch, busiest first. Spectators pick one and join it by id rather
+// than through player matchmaking, which only offers rooms in their rating band with a free player slot.
+app.get('/api/rooms', async (req, res) => {
+  try {
+    const rooms = await matchMaker.query({ name: 'game_room', private: false, locked: false });
+    rooms.sort((a, b) => b.clients - a.clients);
+    res.json({ rooms: rooms.map(room => ({ roomId: room.roomId, clients: room.clients, full: !!room.full, region: room.region })) });
+  } catch (e) {
+    console.error("Failed to list rooms:", e);
+    res.status(500).json({ error: "Failed to list rooms" });
+  }
+});
+
+// Recorded rounds (see systems/replayRecorder.js), newest first
+app.get('/api/replays', async (req, res) => {
+  try {
+    res.json({ replays: await listReplays() });
+  } catch (e) {
+    console.error("Failed to list replays:", e);
+    res.status(500).json({ error: "Failed to list replays" });
+  }
+});
+
+// A single replay; files are stored gzipped, so they're served as-is with gzip encoding
+app.get('/api/replays/:id', (req, res) => {
+  const replayPath = getReplayPath(req.params.id);
+  if (!replayPath) {
+    return res.status(400).json({ error: "Invalid replay id" });
+  }
+  res.set({ 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+  res.sendFile(replayPath, (err) => {
+    if (err && !res.headersSent) {
+      res.removeHeader('Content-Encoding');
+      res.status(err.status === 404 ? 404 : 500).json({ error: "Replay not found" });
+    }
+  });
+});
+
+// A player's public profile: totals and their most recent match summaries (never their token)
+app.get('/api/profile/:id', async (req, res) => {
+  try {
+    const profile = await getProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+    res.json(profile);
+  } catch (e) {
+    console.error("Failed to load profile:", e);
+    res.status(500).json({ error: "Failed to load profile" });
+  }
+});
+
+// A finished match: result, map and every player's scoreboard entry
+app.get('/api/matches/:id', async (req, res) => {
+  try {
+    const match = await getMatch(req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    res.json(match);
+  } catch (e) {
+    console.error("Failed to load match:", e);
+    res.status(500).json({ error: "Failed to load match" });
+  }
+});
+
 // Start listening
 gameServer.listen(port)
   .then(() => {
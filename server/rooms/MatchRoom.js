@@ -12,19 +12,59 @@ function generateUniqueId() {
 const CombatSystem = require('../systems/combat');
 const StaminaSystem = require('../systems/stamina');
 const AIBotSystem = require('../systems/aiBot');
-const { circleRectCollision } = require('../utils/collision');
+const SquadTacticsSystem = require('../systems/squadTactics');
+const LagCompensationSystem = require('../systems/lagCompensation');
+const SpawnSystem = require('../systems/spawn');
+const GorillaAbilitySystem = require('../systems/gorillaAbilities');
+const MobilitySystem = require('../systems/mobility');
+const StatusEffectSystem = require('../systems/statusEffects');
+const ReplayRecorder = require('../systems/replayRecorder');
+const MatchStatsSystem = require('../systems/matchStats');
+const { resolveMovement } = require('../utils/collision');
+const { loadMap, listMaps, DEFAULT_MAP_ID } = require('../utils/mapLoader');
+const { SeededRandom, generateSeed } = require('../utils/rng');
+const { getOrCreateProfile, getProfileByToken, recordMatch } = require('../utils/profileStore');
+const { getMatchmakingRating, INITIAL_RATING } = require('../utils/rating');
+const { resolveRoomRules, applyBalanceOverrides } = require('../utils/roomRules');
+const { reserveJoinCode, releaseJoinCode } = require('../utils/joinCodes');
 
 // --- Game Constants ---
 const MAX_PLAYERS = 11; // 1 Gorilla, 10 Humans
-const COUNTDOWN_SECONDS = 5;
-const ROUND_DURATION_SECONDS = 5 * 60; // 5 minutes
+const MAX_SPECTATORS = 20; // Spectators don't take player slots
+const SPECTATOR_TIMEOUT_MS = 15000; // Spectators are removed after this long without a "spec_hb"
 const RESULTS_DURATION_SECONDS = 15;
-const MAP_WIDTH = 100;
-const MAP_HEIGHT = 100;
 const TICK_RATE_HZ = 10; // Server authority tick as per spec
 const PATCH_RATE_MS = 1000 / TICK_RATE_HZ; // 100ms
 const MAX_CHAT_MESSAGES = 20;
-const BOT_TARGET_TOTAL_HUMANS = 10; // Target total humans (players + bots)
+const MAX_LAG_COMPENSATION_MS = 250; // Furthest back an attack may rewind target positions
+const MAP_VOTE_CANDIDATES = 3; // How many maps are offered in the results-phase vote
+const DEFAULT_REGION = "global"; // Region tag for clients that don't send a valid one
+const REGION_PATTERN = /^[a-z0-9-]{1,16}$/;
+const RATING_BAND_WIDTH = 200; // Matchmaking only groups players whose ratings fall in the same band
+const GORILLA_TURN_WAIT_SECONDS = 60; // Gorilla selection counts each game already played as gorilla as this much less time queued
+
+// Which side a round result (see MatchRoom.startResultsPhase) counts as a win for; null for draws and aborts
+function getWinningRole(result) {
+    if (result.startsWith("humans_win")) return "human";
+    if (result.startsWith("gorilla_wins")) return "gorilla";
+    return null;
+}
+
+// --- Status Effect State ---
+// Timed effects on a player, managed by StatusEffectSystem: "stun", "slow" or "invulnerable"
+class StatusEffect extends Schema {
+    constructor() {
+        super();
+        this.type = "";
+        this.expiresAt = 0; // Server time (clock.currentTime) the effect ends
+        this.magnitude = 1; // Speed multiplier for "slow"
+    }
+}
+defineTypes(StatusEffect, {
+    type: "string",
+    expiresAt: "number",
+    magnitude: "number",
+});
 
 // --- Player State ---
 class Player extends Schema {
@@ -33,8 +73,8 @@ class Player extends Schema {
         this.id = "";
         this.nickname = "Player";
         this.role = "human"; // "human" or "gorilla"
-        this.x = Math.random() * MAP_WIDTH;
-        this.y = Math.random() * MAP_HEIGHT;
+        this.x = 0; // Placed by setPlayerDefaults once the map is known
+        this.y = 0;
         this.hp = 10;
         this.maxHp = 10; // Add maxHp to schema
         this.lives = 10;
@@ -42,10 +82,22 @@ class Player extends Schema {
         this.maxStamina = 50; // Add maxStamina to schema
         this.state = "playing"; // "playing", "dead", "spectating"
         this.isBot = false;
+        this.profileId = ""; // Persistent profile (utils/profileStore.js); empty for bots
+        this.gorillaGames = 0; // Games played as gorilla, from the profile plus rounds in this room (server-only)
+        this.ready = false; // Lobby ready-up; cleared whenever the room returns to the lobby
         this.lastAttackTime = 0;
         this.moveSpeed = 5; // Will be set from balance.json
         this.punchCooldownMs = 400; // Will be set from balance.json
         this.bodyRadius = 1; // Default, will be set from balance.json
+        this.facing = 0; // Radians (0 = +x); from movement or mouse aim, centers the melee swing arc
+        // Movement intent from the last 'i' input (server-only, not synced)
+        this.inputDx = 0;
+        this.inputDy = 0;
+        this.inputSeq = 0; // Sequence number of the last received 'i' input (server-only)
+        this.lastInputSeq = 0; // Last input sequence integrated into x/y, used by client reconciliation
+        this.sprintHeld = false; // Sprint modifier from the last 'i' input (server-only)
+        this.isSprinting = false; // Set by MobilitySystem each tick
+        this.statusEffects = new ArraySchema(); // Active StatusEffects (stun, slow, invulnerable)
     }
 }
 defineTypes(Player, {
@@ -61,29 +113,38 @@ defineTypes(Player, {
     maxStamina: "number", // Define maxStamina type
     state: "string",
     isBot: "boolean",
+    profileId: "string",
+    ready: "boolean",
     lastAttackTime: "number",
     moveSpeed: "number",
     punchCooldownMs: "number",
     bodyRadius: "number",
+    facing: "number",
+    lastInputSeq: "number",
+    isSprinting: "boolean",
+    statusEffects: [StatusEffect],
 });
 
-// --- Obstacle State (Simple Example) ---
+// --- Obstacle State ---
+// "rect": x/y is the top-left corner plus width/height. "circle": x/y is the center plus radius.
 class Obstacle extends Schema {
     constructor() {
         super();
+        this.type = "rect";
         this.x = 0;
         this.y = 0;
         this.width = 0;
         this.height = 0;
-        // this.type = "rectangle"; // Could add 'circle' etc.
+        this.radius = 0;
     }
 }
 defineTypes(Obstacle, {
+    type: "string",
     x: "number",
     y: "number",
     width: "number",
     height: "number",
-    // type: "string",
+    radius: "number",
 });
 
 // --- Chat Message State ---
@@ -109,7 +170,7 @@ class GameEvent extends Schema {
         super();
         this.id = generateUniqueId();
         this.ts = 0;
-        this.type = ""; // "hit", "kill", "respawn", "game_over", "gorilla_assigned"
+        this.type = ""; // "hit", "kill", "respawn", "game_over", "gorilla_assigned", "ability", "swing"
         
         // Common fields for simple messages or context
         this.message = "";
@@ -133,6 +194,15 @@ class GameEvent extends Schema {
 
         // Fields for 'game_over'
         this.reason = "";
+
+        // Fields for 'ability' (gorilla ground slam / charge) and 'swing' (melee attack)
+        this.ability = ""; // "ground_slam" or "charge"
+        this.x = 0; // Where the ability/swing was used
+        this.y = 0;
+        this.dirX = 0; // Charge or swing direction
+        this.dirY = 0;
+        this.range = 0; // Slam radius, charge distance or swing reach
+        this.arc = 0; // Swing arc width in degrees
     }
 }
 defineTypes(GameEvent, {
@@ -155,7 +225,30 @@ defineTypes(GameEvent, {
     playerId: "string",
     playerNickname: "string",
 
-    reason: "string"
+    reason: "string",
+
+    ability: "string",
+    x: "number",
+    y: "number",
+    dirX: "number",
+    dirY: "number",
+    range: "number",
+    arc: "number"
+});
+
+// --- Map Vote Candidate State ---
+class MapCandidate extends Schema {
+    constructor() {
+        super();
+        this.id = ""; // Map id (server/maps/<id>.json)
+        this.name = "";
+        this.votes = 0;
+    }
+}
+defineTypes(MapCandidate, {
+    id: "string",
+    name: "string",
+    votes: "number",
 });
 
 // --- Game State ---
@@ -164,16 +257,25 @@ class GameState extends Schema {
         super();
         this.gamePhase = "lobby"; // "lobby", "countdown", "round", "results"
         this.roundTime = 0; // Seconds since round start
-        this.countdown = COUNTDOWN_SECONDS;
+        this.countdown = 0; // Set from the room's rules (see utils/roomRules.js)
         this.players = new MapSchema();
+        this.spectators = new MapSchema(); // Watching clients (Player entries in state "spectating"), not part of the game
         this.gorillaQueue = new ArraySchema(); // Stores client.sessionId
         this.events = new ArraySchema(); // Array of GameEvent objects
         this.mapObstacles = new ArraySchema();
         this.chatMessages = new ArraySchema();
         this.gorillaPlayerId = null; // ID of the current gorilla
         this.totalHumanLives = 0;
-        this.mapWidth = MAP_WIDTH; // Expose map dimensions
-        this.mapHeight = MAP_HEIGHT; // Expose map dimensions
+        this.mapId = ""; // Id of the loaded map file (server/maps/<mapId>.json)
+        this.mapName = "";
+        this.mapWidth = 0; // Expose map dimensions, set from the loaded map
+        this.mapHeight = 0;
+        this.serverTime = 0; // clock.currentTime of the last simulation tick, used by client interpolation
+        this.mapCandidates = new ArraySchema(); // Next-map vote options during the results phase
+        this.roundSeed = 0; // PRNG seed of the current/last round; with the input log it reproduces the round
+        this.joinCode = ""; // Code to join a private room by (its room id); empty for public rooms
+        this.hostId = ""; // Private rooms: the player who may start the round without waiting for ready-ups
+        this.minReadyPlayers = 0; // Ready players the lobby waits for (from the room's rules)
     }
 }
 defineTypes(GameState, {
@@ -181,19 +283,46 @@ defineTypes(GameState, {
     roundTime: "number",
     countdown: "number",
     players: { map: Player },
+    spectators: { map: Player },
     gorillaQueue: ["string"],
     events: [GameEvent], // Changed from [["string"]]
     mapObstacles: [Obstacle],
     chatMessages: [ChatMessage],
     gorillaPlayerId: "string",
     totalHumanLives: "number",
+    mapId: "string",
+    mapName: "string",
     mapWidth: "number",
-    mapHeight: "number"
+    mapHeight: "number",
+    serverTime: "number",
+    mapCandidates: [MapCandidate],
+    roundSeed: "number",
+    joinCode: "string",
+    hostId: "string",
+    minReadyPlayers: "number"
 });
 
 class MatchRoom extends colyseus.Room {
+    // Runs before matchmaking picks a room: game_room is filtered by region, rating band and
+    // whether it is full (see index.js), so those are filled in here from the client's options and profile
+    static async onAuth(token, options) {
+        options.region = typeof options.region === 'string' && REGION_PATTERN.test(options.region) ? options.region : DEFAULT_REGION;
+        let rating = INITIAL_RATING;
+        try {
+            const profile = await getProfileByToken(options.token);
+            if (profile) rating = getMatchmakingRating(profile.ratings);
+        } catch (e) {
+            console.error("Failed to load profile for matchmaking, using the starting rating:", e);
+        }
+        options.ratingBand = Math.floor(rating / RATING_BAND_WIDTH);
+        options.full = false; // Only match rooms with a free player slot; new rooms start listed as not full
+        return true;
+    }
+
     onCreate(options) {
-        console.log("MatchRoom created!", options);
+        console.log("MatchRoom created!", { ...options, token: options && options.token ? "<token>" : undefined });
+        // Round timings, bot fill, map and balance overrides; only private rooms can change the defaults
+        this.rules = resolveRoomRules(options);
 
         // Load balance configuration
         try {
@@ -210,46 +339,161 @@ class MatchRoom extends colyseus.Room {
         } catch (e) {
             console.error("Failed to load balance.json:", e);
             this.balance = { // Fallback default balance
-                gorilla: { lives: 1, health: 100, crit_kill_pct: 0, stamina: 30, stamina_per_punch: 1, regen_per_sec: 2, move_speed: 4, punch_cooldown_ms: 600, hit_range: 1.2, gorilla_nocrit_damage: 3, body_radius: 3 },
-                human: { lives: 10, health: 10, crit_kill_pct: 40, stamina: 50, stamina_per_punch: 1, regen_per_sec: 4, move_speed: 5, punch_cooldown_ms: 400, hit_range: 0.9, damage_to_gorilla: 1, body_radius: 1 }
+                gorilla: { lives: 1, health: 100, crit_kill_pct: 0, stamina: 30, stamina_per_punch: 1, regen_per_sec: 2, move_speed: 4, punch_cooldown_ms: 600, hit_range: 1.2, hit_arc_deg: 120, gorilla_nocrit_damage: 3, body_radius: 3,
+                    knockback: 4, hitstun_ms: 250, hit_slow_ms: 800, hit_slow_multiplier: 0.6,
+                    ground_slam_stamina_cost: 10, ground_slam_cooldown_ms: 5000, ground_slam_range: 8, ground_slam_damage: 2, ground_slam_knockback: 6,
+                    charge_stamina_cost: 8, charge_cooldown_ms: 4000, charge_range: 15, charge_speed: 30, charge_damage: 3, charge_knockback: 4,
+                    sprint_stamina_per_sec: 6, sprint_speed_multiplier: 1.3, dodge_stamina_cost: 12, dodge_cooldown_ms: 2000, dodge_distance: 5, dodge_duration_ms: 300, dodge_iframes_ms: 200 },
+                human: { lives: 10, health: 10, crit_kill_pct: 40, stamina: 50, stamina_per_punch: 1, regen_per_sec: 4, move_speed: 5, punch_cooldown_ms: 400, hit_range: 0.9, hit_arc_deg: 100, damage_to_gorilla: 1, body_radius: 1,
+                    knockback: 0.3, hitstun_ms: 0, hit_slow_ms: 0, hit_slow_multiplier: 1,
+                    sprint_stamina_per_sec: 10, sprint_speed_multiplier: 1.5, dodge_stamina_cost: 15, dodge_cooldown_ms: 1000, dodge_distance: 6, dodge_duration_ms: 250, dodge_iframes_ms: 300 }
             };
         }
+        applyBalanceOverrides(this.balance, this.rules.balanceOverrides);
+
+        // Every system draws randomness from this one PRNG; it is reseeded at the start of each round.
+        // A `seed` create option pins every round to that seed (for reproducing bug reports).
+        this.fixedSeed = options && Number.isInteger(options.seed) ? options.seed >>> 0 : null;
+        this.rng = new SeededRandom(this.fixedSeed !== null ? this.fixedSeed : generateSeed());
 
         // Initialize systems
         this.staminaSystem = new StaminaSystem(this.balance);
-        this.combatSystem = new CombatSystem(this.balance, this.respawnPlayer.bind(this));
-        this.aiBotSystem = new AIBotSystem(this, this.balance);
+        this.statusEffectSystem = new StatusEffectSystem(StatusEffect, () => this.clock.currentTime);
+        this.combatSystem = new CombatSystem(this.balance, this.respawnPlayer.bind(this), this.statusEffectSystem, this.rng);
+        this.aiBotSystem = new AIBotSystem(this, this.balance, this.rng);
+        this.squadTactics = new SquadTacticsSystem(this.aiBotSystem, this.balance);
+        this.lagCompensation = new LagCompensationSystem(MAX_LAG_COMPENSATION_MS);
+        this.spawnSystem = new SpawnSystem(this, this.rng);
+        this.gorillaAbilitySystem = new GorillaAbilitySystem(this.balance, this.staminaSystem, this.combatSystem);
+        this.mobilitySystem = new MobilitySystem(this.balance, this.staminaSystem, this.statusEffectSystem);
+        this.replayRecorder = new ReplayRecorder();
+        this.matchStats = new MatchStatsSystem();
 
         this.setState(new GameState());
         this.setPatchRate(PATCH_RATE_MS); // 10 Hz as per spec
+        this.state.countdown = this.rules.countdownSeconds;
+        this.state.minReadyPlayers = this.rules.minReadyPlayers;
+        this.hostStartRequested = false; // Set by the host's "start_round"; cleared when the lobby is left
+        this.gorillaWaitStartedAt = null; // When the lobby started waiting for a gorilla (see tryAssignGorilla)
+        this.maxClients = MAX_PLAYERS + MAX_SPECTATORS; // onJoin keeps players to MAX_PLAYERS
+        this.spectatorHeartbeats = new Map(); // sessionId -> time of the spectator's last "spec_hb"
+        this.gorillaQueueTimes = new Map(); // sessionId -> when they joined the gorilla queue
+        this.setMetadata({ region: options && options.region, ratingBand: options && options.ratingBand });
+        if (options && options.private) {
+            // Private rooms are left out of matchmaking and joined by id, so the id is a short code to share
+            this.joinCode = reserveJoinCode();
+            this.roomId = this.joinCode;
+            this.state.joinCode = this.joinCode;
+            this.setPrivate(true);
+        }
 
-        // Example obstacles (replace with JSON loading if needed)
-        const obs1 = new Obstacle();
-        obs1.x = 20; obs1.y = 20; obs1.width = 10; obs1.height = 60;
-        this.state.mapObstacles.push(obs1);
-        const obs2 = new Obstacle();
-        obs2.x = 70; obs2.y = 20; obs2.width = 10; obs2.height = 60;
-        this.state.mapObstacles.push(obs2);
-
+        // Load the arena the rules ask for, falling back to the default map
+        let mapData;
+        try {
+            mapData = loadMap(this.rules.mapId);
+        } catch (e) {
+            console.error("Failed to load requested map, using default:", e.message);
+            mapData = loadMap(DEFAULT_MAP_ID);
+        }
+        this.applyMap(mapData);
+        this.mapVotes = new Map(); // sessionId -> voted map id, for the current results phase
 
         this.setSimulationInterval((deltaTime) => this.update(deltaTime), PATCH_RATE_MS);
 
         this.onMessage("r", (client, message) => this.handleRoleSelection(client, message)); // Role selection
-        this.onMessage("i", (client, message) => this.handlePlayerInput(client.sessionId, message)); // Input (move)
-        this.onMessage("a", (client, message) => this.handlePlayerInput(client.sessionId, message)); // Attack
+        this.onMessage("ready", (client, message) => this.handleReady(client, message)); // Lobby ready-up
+        this.onMessage("start_round", (client) => this.handleHostStart(client)); // Private room host starts the round
+        this.onMessage("i", (client, message) => this.handlePlayerInput(client.sessionId, { ...message, t: "i" })); // Input (move)
+        this.onMessage("a", (client, message) => this.handlePlayerInput(client.sessionId, { ...message, t: "a" })); // Attack
+        this.onMessage("slam", (client, message) => this.handlePlayerInput(client.sessionId, { ...message, t: "slam" })); // Gorilla ground slam
+        this.onMessage("charge", (client, message) => this.handlePlayerInput(client.sessionId, { ...message, t: "charge" })); // Gorilla charge
+        this.onMessage("dodge", (client, message) => this.handlePlayerInput(client.sessionId, { ...message, t: "dodge" })); // Dodge roll
         this.onMessage("c", (client, message) => this.handleChatMessage(client, message)); // Chat
-        this.onMessage("spec_hb", (client, message) => { /* Spectator heartbeat, do nothing for now */ });
+        this.onMessage("vote_map", (client, message) => this.handleMapVote(client, message)); // Next-map vote
+        this.onMessage("spec_hb", (client, message) => this.handleSpectatorHeartbeat(client)); // Spectator keep-alive
+    }
+
+    // Replaces the current arena with a loaded map (see utils/mapLoader.js for the format)
+    applyMap(mapData) {
+        this.mapData = mapData; // Keeps spawn zones and metadata that aren't synced
+        this.state.mapId = mapData.id;
+        this.state.mapName = mapData.metadata.name;
+        this.state.mapWidth = mapData.width;
+        this.state.mapHeight = mapData.height;
+        this.state.mapObstacles.clear();
+        for (const obsData of mapData.obstacles) {
+            const obstacle = new Obstacle();
+            obstacle.type = obsData.type;
+            obstacle.x = obsData.x;
+            obstacle.y = obsData.y;
+            if (obsData.type === 'circle') {
+                obstacle.radius = obsData.radius;
+            } else {
+                obstacle.width = obsData.width;
+                obstacle.height = obsData.height;
+            }
+            this.state.mapObstacles.push(obstacle);
+        }
+        this.aiBotSystem.setMap(this.state.mapObstacles, mapData.width, mapData.height);
+        console.log(`Map loaded: ${mapData.metadata.name} (${mapData.id}), ${mapData.width}x${mapData.height}`);
     }
 
     // Called by AIBotSystem to add a bot to the room's state
     addNewBotToState(botData) {
         const player = new Player().assign(botData);
-        player.moveSpeed = this.balance.human.move_speed;
-        player.punchCooldownMs = this.balance.human.punch_cooldown_ms;
-        player.bodyRadius = this.balance.human.body_radius;
+        const config = this.balance[player.role];
+        player.maxHp = config.health;
+        player.maxStamina = config.stamina;
+        player.moveSpeed = config.move_speed;
+        player.punchCooldownMs = config.punch_cooldown_ms;
+        player.bodyRadius = config.body_radius;
         this.state.players.set(player.id, player);
+        this.replayRecorder.recordJoin(player, this.clock.currentTime);
         console.log(`Bot ${player.id} added to state.`);
     }
+
+    /**
+     * Puts a player joining mid-round in a human bot's place, so the human side stays at the bot
+     * target instead of growing. The player carries on from where the bot was, with its HP,
+     * stamina and lives left; of several bots, the one with the most lives is taken over.
+     * @param {object} player - The joining player, already set up as a human.
+     * @returns {boolean} Whether there was a bot to take over.
+     */
+    takeOverBot(player) {
+        let bot = null;
+        this.state.players.forEach(p => {
+            if (p.isBot && p.role === 'human' && p.state === 'playing' && (!bot || p.lives > bot.lives)) bot = p;
+        });
+        if (!bot) return false;
+        player.x = bot.x;
+        player.y = bot.y;
+        player.hp = bot.hp;
+        player.lives = bot.lives;
+        player.st = bot.st;
+        player.facing = bot.facing;
+        this.removeBotFromState(bot.id);
+        console.log(`${player.nickname} took over bot ${bot.id} (${bot.lives} lives left).`);
+        return true;
+    }
+
+    // Takes a bot out of the room, the way onLeave does for a player's client
+    removeBotFromState(botId) {
+        const bot = this.state.players.get(botId);
+        if (!bot || !bot.isBot) return;
+        this.aiBotSystem.removeBot(botId);
+        this.squadTactics.removeBot(botId);
+        this.replayRecorder.recordLeave(botId, this.clock.currentTime);
+        this.matchStats.recordLeave(bot);
+        this.state.players.delete(botId);
+        this.statusEffectSystem.clear(bot);
+        this.lagCompensation.clearPlayer(botId);
+        this.gorillaAbilitySystem.clearPlayer(botId);
+        this.mobilitySystem.clearPlayer(botId);
+        this.combatSystem.clearPlayer(botId);
+        if (this.state.gorillaPlayerId === botId) {
+            this.handleGorillaLeave();
+        }
+    }
     
     // Called by AIBotSystem or other systems to queue actions for players/bots
     // This is also the direct handler for client messages 'i' and 'a'
@@ -259,132 +503,53 @@ class MatchRoom extends colyseus.Room {
         if (this.state.gamePhase !== 'round') return;
 
         const now = this.clock.currentTime;
-
-        if (action.t === 'i') { // Move input: { t:"i", dx:0.7, dy:-0.1 }
-            if (typeof action.dx === 'number' && typeof action.dy === 'number') {
-                const normalizedDx = Math.max(-1, Math.min(1, action.dx));
-                const normalizedDy = Math.max(-1, Math.min(1, action.dy));
-                
-                const moveDistance = player.moveSpeed * (PATCH_RATE_MS / 1000); // deltaTime for one tick
-                
-                let newX = player.x + normalizedDx * moveDistance;
-                let newY = player.y + normalizedDy * moveDistance;
-
-                // Basic boundary collision
-                let proposedX = Math.max(player.bodyRadius, Math.min(MAP_WIDTH - player.bodyRadius, newX));
-                let proposedY = Math.max(player.bodyRadius, Math.min(MAP_HEIGHT - player.bodyRadius, newY));
-
-                // Obstacle collision using circleRectCollision
-                let collisionX = false;
-                let collisionY = false;
-
-                for (const obs of this.state.mapObstacles) {
-                    // Check collision with proposed X, current Y
-                    if (circleRectCollision(proposedX, player.y, player.bodyRadius, obs.x, obs.y, obs.width, obs.height)) {
-                        collisionX = true;
-                        // Adjust X: place player next to obstacle
-                        if (normalizedDx > 0) proposedX = obs.x - player.bodyRadius - 0.01; // Moving right, place left of obs
-                        else if (normalizedDx < 0) proposedX = obs.x + obs.width + player.bodyRadius + 0.01; // Moving left, place right of obs
-                        else proposedX = player.x; // No horizontal movement, revert to current x
-                        break;
-                    }
+        this.replayRecorder.recordInput(playerId, action, now); // Bot inputs come through here too
+
+        // Hitstun blocks actions. Movement intent is still recorded (and acked) so held keys
+        // stay in sync, but movePlayer ignores it until the stun wears off.
+        if (action.t !== 'i' && this.statusEffectSystem.has(player, 'stun')) return;
+
+        if (action.t === 'i') { // Move input: { t:"i", dx:0.7, dy:-0.1, sprint:true }
+            // Input only sets movement intent; position is integrated in update() at moveSpeed,
+            // so speed does not depend on how often a client (or bot) sends messages.
+            if (Number.isFinite(action.dx) && Number.isFinite(action.dy)) {
+                let dirX = Math.max(-1, Math.min(1, action.dx));
+                let dirY = Math.max(-1, Math.min(1, action.dy));
+                const length = Math.sqrt(dirX * dirX + dirY * dirY);
+                if (length > 1) { // Don't let diagonals exceed moveSpeed
+                    dirX /= length;
+                    dirY /= length;
                 }
-                // Boundary check for X after potential adjustment
-                proposedX = Math.max(player.bodyRadius, Math.min(MAP_WIDTH - player.bodyRadius, proposedX));
-
-
-                for (const obs of this.state.mapObstacles) {
-                    // Check collision with (now potentially adjusted) proposed X, and proposed Y
-                    if (circleRectCollision(proposedX, proposedY, player.bodyRadius, obs.x, obs.y, obs.width, obs.height)) {
-                        collisionY = true;
-                        // Adjust Y: place player next to obstacle
-                        if (normalizedDy > 0) proposedY = obs.y - player.bodyRadius - 0.01; // Moving down, place above obs
-                        else if (normalizedDy < 0) proposedY = obs.y + obs.height + player.bodyRadius + 0.01; // Moving up, place below obs
-                        else proposedY = player.y; // No vertical movement, revert to current y
-                        break;
-                    }
+                player.inputDx = dirX;
+                player.inputDy = dirY;
+                player.sprintHeld = action.sprint === true;
+                if (dirX !== 0 || dirY !== 0) {
+                    player.facing = Math.atan2(dirY, dirX); // Face where we're moving until aimed otherwise
                 }
-                // Boundary check for Y after potential adjustment
-                proposedY = Math.max(player.bodyRadius, Math.min(MAP_HEIGHT - player.bodyRadius, proposedY));
-                
-                // Final check: if after adjustments, still colliding (e.g. corner case), try to only allow movement on one axis if the other was blocked.
-                // This is a simple slide. More complex resolution might be needed for perfect cornering.
-                let finalX = proposedX;
-                let finalY = proposedY;
-
-                if (collisionX && collisionY) { // If collided on both axes attempts
-                    // Try moving only on Y axis from original position
-                    let tempY = player.y + normalizedDy * moveDistance;
-                    tempY = Math.max(player.bodyRadius, Math.min(MAP_HEIGHT - player.bodyRadius, tempY));
-                    let stillCollidesYOnly = false;
-                    for (const obs of this.state.mapObstacles) {
-                        if (circleRectCollision(player.x, tempY, player.bodyRadius, obs.x, obs.y, obs.width, obs.height)) {
-                            stillCollidesYOnly = true;
-                            break;
-                        }
-                    }
-                    if (!stillCollidesYOnly) {
-                        finalX = player.x; // Keep original X
-                        finalY = tempY;
-                    } else {
-                        // Try moving only on X axis from original position
-                        let tempX = player.x + normalizedDx * moveDistance;
-                        tempX = Math.max(player.bodyRadius, Math.min(MAP_WIDTH - player.bodyRadius, tempX));
-                        let stillCollidesXOnly = false;
-                        for (const obs of this.state.mapObstacles) {
-                             if (circleRectCollision(tempX, player.y, player.bodyRadius, obs.x, obs.y, obs.width, obs.height)) {
-                                stillCollidesXOnly = true;
-                                break;
-                            }
-                        }
-                        if (!stillCollidesXOnly) {
-                            finalX = tempX;
-                            finalY = player.y; // Keep original Y
-                        } else {
-                            // Stuck, don't move
-                            finalX = player.x;
-                            finalY = player.y;
-                        }
-                    }
+                if (Number.isInteger(action.seq) && action.seq > player.inputSeq) {
+                    player.inputSeq = action.seq;
                 }
-
-                player.x = finalX;
-                player.y = finalY;
             }
-        } else if (action.t === 'a') { // Attack input: { t:"a" }
+        } else if (action.t === 'slam' || action.t === 'charge') { // Gorilla abilities: { t:"slam" } / { t:"charge", dx, dy }
+            const abilityKey = action.t === 'slam' ? 'ground_slam' : 'charge';
+            const abilityEventsData = this.gorillaAbilitySystem.useAbility(player, abilityKey, action, this.getAbilityContext());
+            this.pushCombatEvents(abilityEventsData, now);
+        } else if (action.t === 'dodge') { // Dodge roll: { t:"dodge", dx, dy }
+            this.mobilitySystem.startDodge(player, action, now);
+        } else if (action.t === 'a') { // Attack input: { t:"a", ts: serverTimeSeenByClient, angle: aimRadians }
             if (now - player.lastAttackTime >= player.punchCooldownMs) {
+                if (Number.isFinite(action.angle)) { // Mouse aim; otherwise swing where we're facing
+                    player.facing = Math.atan2(Math.sin(action.angle), Math.cos(action.angle));
+                }
                 if (this.staminaSystem.consumeStamina(player)) {
                     player.lastAttackTime = now;
                     const allPlayersArray = Array.from(this.state.players.values());
-                    const combatEventsData = this.combatSystem.handleAttackAction(player, allPlayersArray);
-                    if (combatEventsData && combatEventsData.length > 0) {
-                        combatEventsData.forEach(eventData => {
-                            const gameEvent = new GameEvent();
-                            gameEvent.ts = now; // Use current time from this tick
-                            gameEvent.type = eventData[0];
-
-                            switch(eventData[0]) {
-                                case 'hit':
-                                    gameEvent.attackerId = eventData[1];
-                                    gameEvent.targetId = eventData[2];
-                                    gameEvent.damage = eventData[3];
-                                    gameEvent.targetNickname = eventData[4];
-                                    gameEvent.attackerNickname = eventData[5];
-                                    break;
-                                case 'kill':
-                                    gameEvent.killerId = eventData[1];
-                                    gameEvent.victimId = eventData[2];
-                                    gameEvent.victimNickname = eventData[3];
-                                    gameEvent.killerNickname = eventData[4];
-                                    break;
-                                case 'respawn':
-                                    gameEvent.playerId = eventData[1];
-                                    gameEvent.playerNickname = eventData[2];
-                                    break;
-                            }
-                            this.state.events.push(gameEvent);
-                        });
-                    }
+                    // Test targets where the attacker saw them (bounded by MAX_LAG_COMPENSATION_MS)
+                    const rewindTime = this.lagCompensation.clampRewindTime(action.ts, now);
+                    const getTargetPosition = target =>
+                        this.lagCompensation.getPositionAt(target.id, rewindTime) || { x: target.x, y: target.y };
+                    const combatEventsData = this.combatSystem.handleAttackAction(player, allPlayersArray, getTargetPosition);
+                    this.pushCombatEvents(combatEventsData, now);
                 } else {
                     // console.log(`Player ${player.id} out of stamina for attack.`);
                     // Optionally send an "out_of_stamina" event
@@ -394,25 +559,99 @@ class MatchRoom extends colyseus.Room {
     }
 
 
+    // Converts event arrays from CombatSystem/GorillaAbilitySystem into synced GameEvents
+    pushCombatEvents(eventsData, now) {
+        if (!eventsData || eventsData.length === 0) return;
+        this.matchStats.recordEvents(eventsData);
+        eventsData.forEach(eventData => {
+            const gameEvent = new GameEvent();
+            gameEvent.ts = now; // Use current time from this tick
+            gameEvent.type = eventData[0];
+
+            switch(eventData[0]) {
+                case 'hit': // ['hit', attackerId, victimId, damage, isCrit, victimNickname, attackerNickname]
+                    gameEvent.attackerId = eventData[1];
+                    gameEvent.targetId = eventData[2];
+                    gameEvent.damage = eventData[3];
+                    gameEvent.targetNickname = eventData[5];
+                    gameEvent.attackerNickname = eventData[6];
+                    break;
+                case 'kill': // ['kill', killerId, victimId, reason, victimNickname, killerNickname]
+                    gameEvent.killerId = eventData[1];
+                    gameEvent.victimId = eventData[2];
+                    gameEvent.reason = eventData[3];
+                    gameEvent.victimNickname = eventData[4];
+                    gameEvent.killerNickname = eventData[5];
+                    break;
+                case 'respawn': // ['respawn', playerId, livesRemaining, playerNickname]
+                    gameEvent.playerId = eventData[1];
+                    gameEvent.playerNickname = eventData[3];
+                    break;
+                case 'swing': // ['swing', playerId, x, y, dirX, dirY, range, arcDegrees, playerNickname]
+                    gameEvent.playerId = eventData[1];
+                    gameEvent.x = eventData[2];
+                    gameEvent.y = eventData[3];
+                    gameEvent.dirX = eventData[4];
+                    gameEvent.dirY = eventData[5];
+                    gameEvent.range = eventData[6];
+                    gameEvent.arc = eventData[7];
+                    gameEvent.playerNickname = eventData[8];
+                    break;
+                case 'ability': // ['ability', playerId, abilityKey, x, y, dirX, dirY, range, playerNickname]
+                    gameEvent.playerId = eventData[1];
+                    gameEvent.ability = eventData[2];
+                    gameEvent.x = eventData[3];
+                    gameEvent.y = eventData[4];
+                    gameEvent.dirX = eventData[5];
+                    gameEvent.dirY = eventData[6];
+                    gameEvent.range = eventData[7];
+                    gameEvent.playerNickname = eventData[8];
+                    break;
+            }
+            this.state.events.push(gameEvent);
+        });
+    }
+
+    // Snapshot of the world that GorillaAbilitySystem, MobilitySystem and CombatSystem knockback need
+    getAbilityContext() {
+        return {
+            players: Array.from(this.state.players.values()),
+            obstacles: this.state.mapObstacles,
+            mapWidth: this.state.mapWidth,
+            mapHeight: this.state.mapHeight,
+            now: this.clock.currentTime
+        };
+    }
+
+    // Integrates a player's movement intent over one simulation step, resolving
+    // map boundaries and obstacle collisions (slides along an axis when blocked).
+    movePlayer(player, deltaSeconds) {
+        if (!player || player.state !== 'playing') return;
+        if (player.inputDx === 0 && player.inputDy === 0) return;
+        if (this.gorillaAbilitySystem.isCharging(player.id)) return; // Charge movement is driven by updateCharges
+        if (this.mobilitySystem.isDodging(player.id)) return; // Roll movement is driven by MobilitySystem
+        if (this.statusEffectSystem.has(player, 'stun')) return; // Knockback still moves stunned players
+
+        const moveDistance = player.moveSpeed * deltaSeconds;
+        const resolved = resolveMovement(player.x, player.y, player.bodyRadius, player.inputDx, player.inputDy,
+            moveDistance, this.state.mapObstacles, this.state.mapWidth, this.state.mapHeight);
+        player.x = resolved.x;
+        player.y = resolved.y;
+    }
+
     handleRoleSelection(client, message) {
         const player = this.state.players.get(client.sessionId);
         if (!player) return;
 
         const desiredRole = message.role;
         if (desiredRole === "gorilla") {
-            if (!this.state.gorillaQueue.includes(client.sessionId)) {
-                this.state.gorillaQueue.push(client.sessionId);
-            }
+            this.addToGorillaQueue(client.sessionId);
             // If in lobby and no gorilla, try to assign immediately
             if (this.state.gamePhase === "lobby" && !this.state.gorillaPlayerId) {
                 this.tryAssignGorilla();
             }
         } else if (desiredRole === "human") {
-            // If they were in gorilla queue, remove them
-            const queueIndex = this.state.gorillaQueue.indexOf(client.sessionId);
-            if (queueIndex > -1) {
-                this.state.gorillaQueue.splice(queueIndex, 1);
-            }
+            this.removeFromGorillaQueue(client.sessionId); // If they were in gorilla queue, remove them
             player.role = "human";
             this.setPlayerDefaults(player); // Reset to human defaults
             // If they were the gorilla, need to handle gorilla leaving
@@ -422,28 +661,92 @@ class MatchRoom extends colyseus.Room {
         }
          console.log(`Player ${player.nickname} (${client.sessionId}) selected role: ${player.role}. Gorilla queue: ${this.state.gorillaQueue.length}`);
     }
+
+    handleReady(client, message) {
+        if (this.state.gamePhase !== "lobby" && this.state.gamePhase !== "countdown") return;
+        const player = this.state.players.get(client.sessionId);
+        if (!player || !message || typeof message.ready !== 'boolean') return;
+        player.ready = message.ready; // Unreadying during the countdown can cancel it (see updateCountdown)
+    }
+
+    handleHostStart(client) {
+        if (this.state.gamePhase !== "lobby" || client.sessionId !== this.state.hostId) return;
+        this.hostStartRequested = true;
+        console.log(`Host ${client.sessionId} started the round.`);
+    }
     
-    tryAssignGorilla() {
-        if (this.state.gorillaQueue.length > 0 && !this.state.gorillaPlayerId) {
-            const newGorillaId = this.state.gorillaQueue.shift(); // First in queue gets it
-            const gorillaPlayer = this.state.players.get(newGorillaId);
-            if (gorillaPlayer) {
-                gorillaPlayer.role = "gorilla";
-                this.setPlayerDefaults(gorillaPlayer);
-                this.state.gorillaPlayerId = newGorillaId;
-                console.log(`Assigned Gorilla role to ${gorillaPlayer.nickname} (${newGorillaId})`);
-                
-                const assignEvent = new GameEvent();
-                assignEvent.ts = this.clock.currentTime;
-                assignEvent.type = "gorilla_assigned";
-                assignEvent.playerId = newGorillaId;
-                assignEvent.playerNickname = gorillaPlayer.nickname;
-                this.state.events.push(assignEvent);
-                // this.broadcast("gorilla_assigned", { playerId: newGorillaId, nickname: gorillaPlayer.nickname }); // Replaced by state event
-                return true;
+    addToGorillaQueue(sessionId) {
+        if (this.state.gorillaQueue.includes(sessionId)) return;
+        this.state.gorillaQueue.push(sessionId);
+        this.gorillaQueueTimes.set(sessionId, this.clock.currentTime);
+    }
+
+    removeFromGorillaQueue(sessionId) {
+        const queueIndex = this.state.gorillaQueue.indexOf(sessionId);
+        if (queueIndex > -1) {
+            this.state.gorillaQueue.splice(queueIndex, 1);
+        }
+        this.gorillaQueueTimes.delete(sessionId);
+    }
+
+    // The queued player with the highest priority becomes gorilla: seconds queued, minus
+    // GORILLA_TURN_WAIT_SECONDS per game they have already played as gorilla. Long waits win,
+    // but players who rarely get the role are favoured, so it rotates.
+    pickNextGorilla() {
+        const now = this.clock.currentTime;
+        let bestId = null;
+        let bestPriority = -Infinity;
+        this.state.gorillaQueue.forEach(sessionId => {
+            const player = this.state.players.get(sessionId);
+            if (!player) return;
+            const queuedAt = this.gorillaQueueTimes.has(sessionId) ? this.gorillaQueueTimes.get(sessionId) : now;
+            const priority = (now - queuedAt) / 1000 - player.gorillaGames * GORILLA_TURN_WAIT_SECONDS;
+            if (priority > bestPriority) { // Ties go to whoever is earlier in the queue
+                bestPriority = priority;
+                bestId = sessionId;
             }
+        });
+        return bestId;
+    }
+
+    // Assigns the gorilla role to the next queued player. If nobody has queued after
+    // rules.gorillaBotWaitSeconds while real players wait, a gorilla bot takes the role instead.
+    tryAssignGorilla() {
+        if (this.state.gorillaPlayerId) return false;
+        const newGorillaId = this.state.gorillaQueue.length > 0 ? this.pickNextGorilla() : null;
+        let gorillaPlayer = newGorillaId ? this.state.players.get(newGorillaId) : null;
+        if (gorillaPlayer) {
+            this.removeFromGorillaQueue(newGorillaId);
+        } else {
+            gorillaPlayer = this.spawnGorillaBotIfWaitedOut();
+            if (!gorillaPlayer) return false;
+        }
+        gorillaPlayer.role = "gorilla";
+        this.setPlayerDefaults(gorillaPlayer);
+        this.state.gorillaPlayerId = gorillaPlayer.id;
+        this.gorillaWaitStartedAt = null;
+        console.log(`Assigned Gorilla role to ${gorillaPlayer.nickname} (${gorillaPlayer.id})`);
+
+        const assignEvent = new GameEvent();
+        assignEvent.ts = this.clock.currentTime;
+        assignEvent.type = "gorilla_assigned";
+        assignEvent.playerId = gorillaPlayer.id;
+        assignEvent.playerNickname = gorillaPlayer.nickname;
+        this.state.events.push(assignEvent);
+        return true;
+    }
+
+    // Starts (or checks) the wait for a gorilla; returns a new gorilla bot once it has run out, else null
+    spawnGorillaBotIfWaitedOut() {
+        const now = this.clock.currentTime;
+        if (this.countRealPlayers() === 0) { // Nobody is waiting
+            this.gorillaWaitStartedAt = null;
+            return null;
         }
-        return false;
+        if (this.gorillaWaitStartedAt === null) this.gorillaWaitStartedAt = now;
+        if (now - this.gorillaWaitStartedAt < this.rules.gorillaBotWaitSeconds * 1000) return null;
+        const botId = this.aiBotSystem.spawnGorillaBot(Array.from(this.state.players.values()), this.rules.botDifficulty);
+        return botId ? this.state.players.get(botId) : null;
     }
 
     handleGorillaLeave() {
@@ -467,21 +770,103 @@ class MatchRoom extends colyseus.Room {
         }
     }
 
-    onJoin(client, options) {
-        console.log(client.sessionId, "joined with options:", options);
+    async onJoin(client, options) {
+        console.log(client.sessionId, "joined with options:", { ...options, token: options && options.token ? "<token>" : undefined });
+        if (options && options.spectate) {
+            this.addSpectator(client, options);
+            return;
+        }
+        // Returning players send the token they were issued; anyone else gets a new profile and token
+        let profileData = null;
+        try {
+            profileData = await getOrCreateProfile(options.token, options.nickname);
+        } catch (e) {
+            console.error("Failed to load player profile, joining without one:", e);
+        }
+        if (this.countRealPlayers() >= MAX_PLAYERS) { // Checked after the await, as others may have joined meanwhile
+            throw new Error("Room is full"); // Rejects the join; spectating is still possible
+        }
+
         const player = new Player();
         player.id = client.sessionId;
-        player.nickname = options.nickname || `Player${Math.floor(Math.random() * 1000)}`;
+        player.nickname = options.nickname || (profileData && profileData.profile.nickname) || `Player${Math.floor(Math.random() * 1000)}`;
+        player.profileId = profileData ? profileData.profile.id : "";
+        player.gorillaGames = profileData ? profileData.profile.gamesAsGorilla : 0;
         // Role is initially human, player sends message to select role preference
         player.role = "human"; 
         this.setPlayerDefaults(player);
-        
+        if (this.state.gamePhase === "round") {
+            this.takeOverBot(player);
+        }
+
         this.state.players.set(client.sessionId, player);
+        this.replayRecorder.recordJoin(player, this.clock.currentTime);
+        this.updateMatchmakingFull();
+        if (this.joinCode && !this.state.hostId) {
+            this.state.hostId = client.sessionId; // The creator, as they join their new room first
+        }
         console.log(`Player ${player.nickname} (${client.sessionId}) joined as ${player.role}. Total players: ${this.state.players.size}`);
 
         // Send full state snapshot to joining client (Colyseus does this automatically on first join if schema is set)
         // But we can send a custom welcome message if needed
-        client.send("welcome", { message: "Welcome to Gorilla vs Humans!", yourId: client.sessionId });
+        client.send("welcome", {
+            message: "Welcome to Gorilla vs Humans!",
+            yourId: client.sessionId,
+            token: profileData ? profileData.token : null, // Stored by the client and sent back on later joins
+            profileId: player.profileId
+        });
+    }
+
+    // Spectators watch the room's state but never enter the game: no role, lives or spawn
+    addSpectator(client, options) {
+        const spectator = new Player();
+        spectator.id = client.sessionId;
+        spectator.nickname = options.nickname || `Spectator${Math.floor(Math.random() * 1000)}`;
+        spectator.state = "spectating";
+        this.state.spectators.set(client.sessionId, spectator);
+        this.spectatorHeartbeats.set(client.sessionId, this.clock.currentTime);
+        console.log(`Spectator ${spectator.nickname} (${client.sessionId}) joined. Total spectators: ${this.state.spectators.size}`);
+        client.send("welcome", { message: "Welcome to Gorilla vs Humans!", yourId: client.sessionId, spectating: true });
+    }
+
+    handleSpectatorHeartbeat(client) {
+        if (this.state.spectators.has(client.sessionId)) {
+            this.spectatorHeartbeats.set(client.sessionId, this.clock.currentTime);
+        }
+    }
+
+    // Disconnects spectators whose heartbeat stopped (e.g. a client that hung without closing the socket)
+    removeIdleSpectators(now) {
+        this.spectatorHeartbeats.forEach((lastHeartbeat, sessionId) => {
+            if (now - lastHeartbeat < SPECTATOR_TIMEOUT_MS) return;
+            console.log(`Spectator ${sessionId} timed out.`);
+            this.spectatorHeartbeats.delete(sessionId); // Checked once; onLeave removes the spectator
+            const client = this.clients.getById(sessionId);
+            if (client) {
+                client.leave();
+            } else {
+                this.state.spectators.delete(sessionId);
+            }
+        });
+    }
+
+    // Connected, non-bot players; what MAX_PLAYERS limits
+    countRealPlayers() {
+        let count = 0;
+        this.state.players.forEach(p => {
+            if (!p.isBot) count++;
+        });
+        return count;
+    }
+
+    // Matchmaking fills the fullest matching room first (see index.js); a room with every player
+    // slot taken is listed as full so players are sent elsewhere. It isn't locked: Colyseus turns
+    // locked rooms away even when joined by id, which would keep spectators out too.
+    updateMatchmakingFull() {
+        const full = this.countRealPlayers() >= MAX_PLAYERS;
+        if (this.listing.full !== full) {
+            this.listing.updateOne({ $set: { full } });
+        }
     }
 
     setPlayerDefaults(player) {
@@ -499,8 +884,18 @@ class MatchRoom extends colyseus.Room {
         player.punchCooldownMs = config.punch_cooldown_ms;
         player.bodyRadius = config.body_radius;
         player.state = "playing"; // Reset state
-        player.x = Math.random() * (MAP_WIDTH - 2 * player.bodyRadius) + player.bodyRadius;
-        player.y = Math.random() * (MAP_HEIGHT - 2 * player.bodyRadius) + player.bodyRadius;
+        player.inputDx = 0;
+        player.inputDy = 0;
+        player.sprintHeld = false;
+        player.isSprinting = false;
+        this.statusEffectSystem.clear(player);
+        this.combatSystem.clearPlayer(player.id);
+        this.lagCompensation.clearPlayer(player.id);
+        this.gorillaAbilitySystem.clearPlayer(player.id);
+        this.mobilitySystem.clearPlayer(player.id);
+        const spawn = this.spawnSystem.getSpawnPosition(player.role, player.bodyRadius, { excludeId: player.id });
+        player.x = spawn.x;
+        player.y = spawn.y;
     }
 
     respawnPlayer(player) { // player object from state
@@ -508,64 +903,65 @@ class MatchRoom extends colyseus.Room {
         const config = this.balance[player.role];
         player.hp = config.health; // Full HP for the new life
         player.st = config.stamina; // Full stamina
-        player.x = Math.random() * (MAP_WIDTH - 2 * player.bodyRadius) + player.bodyRadius;
-        player.y = Math.random() * (MAP_HEIGHT - 2 * player.bodyRadius) + player.bodyRadius;
+        // Humans come back in their spawn zones, away from the gorilla that just knocked them out
+        const spawn = this.spawnSystem.getSpawnPosition(player.role, player.bodyRadius, {
+            excludeId: player.id,
+            avoidGorilla: player.role === 'human'
+        });
+        player.x = spawn.x;
+        player.y = spawn.y;
+        player.inputDx = 0;
+        player.inputDy = 0;
+        player.sprintHeld = false;
         player.state = "playing";
+        this.statusEffectSystem.clear(player);
+        this.combatSystem.clearPlayer(player.id); // Drop any knockback from the hit that respawned us
+        this.lagCompensation.clearPlayer(player.id); // Don't rewind across the teleport
+        this.mobilitySystem.clearPlayer(player.id); // Cancel any roll in progress
         console.log(`Player ${player.nickname} respawned. Lives: ${player.lives}`);
         // Event for respawn is already added by CombatSystem
     }
     
-    getValidSpawnPosition() {
-        // Basic random spawn, can be improved to avoid obstacles
-        // For now, assumes player.bodyRadius is small enough or handled by initial placement
-        let x, y, valid = false;
-        let attempts = 0;
-        const maxAttempts = 20;
-
-        while(!valid && attempts < maxAttempts) {
-            attempts++;
-            x = Math.random() * MAP_WIDTH;
-            y = Math.random() * MAP_HEIGHT;
-            valid = true; // Assume valid initially
-
-            // Check against map boundaries (assuming bodyRadius = 1 for simplicity here, should use actual)
-            const bodyRadius = 1; // Simplified for this check, use actual player.bodyRadius
-            if (x < bodyRadius || x > MAP_WIDTH - bodyRadius || y < bodyRadius || y > MAP_HEIGHT - bodyRadius) {
-                valid = false;
-                continue;
-            }
-
-            for (const obs of this.state.mapObstacles) {
-                if (x - bodyRadius < obs.x + obs.width &&
-                    x + bodyRadius > obs.x &&
-                    y - bodyRadius < obs.y + obs.height &&
-                    y + bodyRadius > obs.y) {
-                    valid = false;
-                    break;
-                }
-            }
-        }
-        if (!valid) { // Fallback if too many attempts
-            console.warn("Could not find valid spawn position after max attempts, using random.");
-            x = Math.random() * MAP_WIDTH;
-            y = Math.random() * MAP_HEIGHT;
-        }
-        return { x, y };
+    // Used by AIBotSystem when spawning bots; see SpawnSystem for the placement rules
+    getValidSpawnPosition(role = 'human', bodyRadius = this.balance[role].body_radius) {
+        return this.spawnSystem.getSpawnPosition(role, bodyRadius);
     }
 
 
     onLeave(client, consented) {
+        if (this.state.spectators.has(client.sessionId)) {
+            this.state.spectators.delete(client.sessionId);
+            this.spectatorHeartbeats.delete(client.sessionId);
+            console.log(client.sessionId, "stopped spectating. Consented:", consented);
+            return;
+        }
         const player = this.state.players.get(client.sessionId);
         if (player) {
             console.log(player.nickname, "(", client.sessionId, ") left. Consented:", consented);
             if (player.isBot) {
                 this.aiBotSystem.removeBot(player.id);
+                this.squadTactics.removeBot(player.id);
             }
+            this.replayRecorder.recordLeave(client.sessionId, this.clock.currentTime);
+            this.matchStats.recordLeave(player);
             this.state.players.delete(client.sessionId);
+            this.lagCompensation.clearPlayer(client.sessionId);
+            this.gorillaAbilitySystem.clearPlayer(client.sessionId);
+            this.mobilitySystem.clearPlayer(client.sessionId);
+            this.combatSystem.clearPlayer(client.sessionId);
+            if (this.state.gamePhase === "round" && player.role === "human" && !player.isBot && player.state === "playing") {
+                // A bot carries on with their remaining lives, keeping the human side at the bot target
+                this.aiBotSystem.replaceHuman(Array.from(this.state.players.values()), player,
+                    this.rules.botTargetTotalHumans, this.rules.botDifficulty);
+            }
+            if (this.mapVotes.delete(client.sessionId)) {
+                this.tallyMapVotes();
+            }
 
-            const queueIndex = this.state.gorillaQueue.indexOf(client.sessionId);
-            if (queueIndex > -1) {
-                this.state.gorillaQueue.splice(queueIndex, 1);
+            this.removeFromGorillaQueue(client.sessionId);
+            this.updateMatchmakingFull();
+            if (this.state.hostId === client.sessionId) {
+                this.passHostOn();
             }
 
             if (this.state.gorillaPlayerId === client.sessionId) {
@@ -577,8 +973,18 @@ class MatchRoom extends colyseus.Room {
         console.log(`Total players: ${this.state.players.size}`);
     }
 
+    // Hands a leaving host's role to the longest-present real player, if anyone is left
+    passHostOn() {
+        let nextHostId = "";
+        this.state.players.forEach(p => {
+            if (!nextHostId && !p.isBot) nextHostId = p.id;
+        });
+        this.state.hostId = nextHostId;
+        if (nextHostId) console.log(`Host passed to ${nextHostId}.`);
+    }
+
     handleChatMessage(client, message) {
-        const player = this.state.players.get(client.sessionId);
+        const player = this.state.players.get(client.sessionId) || this.state.spectators.get(client.sessionId);
         if (!player || !message || typeof message.msg !== 'string' || message.msg.trim() === "") {
             return;
         }
@@ -602,6 +1008,7 @@ class MatchRoom extends colyseus.Room {
         
         // Prune old events
         const now = this.clock.currentTime;
+        this.state.serverTime = now;
         for (let i = this.state.events.length - 1; i >= 0; i--) {
             const event = this.state.events[i];
             // Ensure event.ts is a number before comparison
@@ -616,6 +1023,8 @@ class MatchRoom extends colyseus.Room {
             }
         }
 
+        this.removeIdleSpectators(now);
+
         switch (this.state.gamePhase) {
             case "lobby":
                 this.updateLobby();
@@ -640,43 +1049,51 @@ class MatchRoom extends colyseus.Room {
     }
 
     updateLobby() {
+        // A gorilla bot gives the role up as soon as a real player queues for it
+        const gorilla = this.state.players.get(this.state.gorillaPlayerId);
+        if (gorilla && gorilla.isBot && this.state.gorillaQueue.length > 0) {
+            this.removeBotFromState(gorilla.id); // Assigns the queued player via handleGorillaLeave
+        }
         // Try to assign gorilla if not already assigned and someone is in queue
         if (!this.state.gorillaPlayerId) {
             this.tryAssignGorilla();
         }
+        if (this.canStartCountdown()) {
+            this.startCountdown();
+        }
+    }
 
-        // Check if we can start the game: 1 gorilla assigned, and at least 1 human player (bot or real)
-        let humanPlayerCount = 0;
+    // A round needs a gorilla (bots fill the human side), and then either enough ready real
+    // players (rules.minReadyPlayers) or the host of a private room asking to start
+    canStartCountdown() {
+        if (!this.state.gorillaPlayerId) return false;
+        return this.hostStartRequested || this.countReadyPlayers() >= this.rules.minReadyPlayers;
+    }
+
+    countReadyPlayers() {
+        let count = 0;
         this.state.players.forEach(p => {
-            if (p.role === 'human' && !p.isBot) humanPlayerCount++;
+            if (p.ready && !p.isBot) count++;
         });
-        
-        // For MVP, let's allow starting with just a Gorilla and then bots will fill.
-        // Or require at least one human player. Let's go with: Gorilla + any number of humans (bots will fill)
-        if (this.state.gorillaPlayerId && this.state.players.size >= 1) { // Need at least the gorilla
-             // Check if there's at least one non-bot human or if we allow starting with only bots for humans
-            let realHumanPresent = false;
-            this.state.players.forEach(p => {
-                if (p.role === 'human' && !p.isBot) realHumanPresent = true;
-            });
-
-            // For now, let's allow starting if a gorilla is chosen, bots will fill human slots.
-            // A more robust check would be:
-            // (this.state.gorillaPlayerId && (humanPlayerCount > 0 || this.state.players.size >= BOT_TARGET_TOTAL_HUMANS_IF_NO_REAL_PLAYERS))
-            if (this.state.gorillaPlayerId) {
-                 this.startCountdown();
-            }
-        }
+        return count;
     }
 
     startCountdown() {
         this.state.gamePhase = "countdown";
-        this.state.countdown = COUNTDOWN_SECONDS;
-        this.broadcast("countdown_started", { duration: COUNTDOWN_SECONDS });
+        this.state.countdown = this.rules.countdownSeconds;
+        this.broadcast("countdown_started", { duration: this.rules.countdownSeconds });
         console.log("Countdown started!");
     }
 
     updateCountdown(deltaSeconds) {
+        // Back to the lobby if the gorilla left with nobody queued, or players unreadied
+        if (!this.canStartCountdown()) {
+            this.state.gamePhase = "lobby";
+            this.hostStartRequested = false;
+            this.broadcast("countdown_cancelled");
+            console.log("Countdown cancelled.");
+            return;
+        }
         this.state.countdown -= deltaSeconds;
         if (this.state.countdown <= 0) {
             this.startRound();
@@ -685,21 +1102,20 @@ class MatchRoom extends colyseus.Room {
 
     startRound() {
         this.state.gamePhase = "round";
+        this.hostStartRequested = false;
         this.state.roundTime = 0;
-        console.log("Round started!");
+        // Reseed before anything random happens this round (spawns, bots, crits)
+        this.state.roundSeed = this.fixedSeed !== null ? this.fixedSeed : generateSeed();
+        this.rng.setSeed(this.state.roundSeed);
+        console.log(`Round started! Seed: ${this.state.roundSeed}`);
         this.broadcast("round_started");
 
-        // Reset players for the round
-        this.state.players.forEach(player => {
-            this.setPlayerDefaults(player); // Resets HP, lives, stamina, position
-            player.state = "playing";
-        });
-        
-        // Ensure gorilla is correctly set up
+        // Ensure gorilla is correctly set up (placed first so humans spawn away from it)
         if (this.state.gorillaPlayerId) {
             const gorilla = this.state.players.get(this.state.gorillaPlayerId);
             if (gorilla) {
                  gorilla.role = "gorilla"; // Ensure role is set
+                 gorilla.gorillaGames++; // Counts against them the next time the role is picked
                  this.setPlayerDefaults(gorilla); // Apply gorilla defaults
             } else {
                 // Gorilla player left during countdown? Promote next or end.
@@ -714,29 +1130,68 @@ class MatchRoom extends colyseus.Room {
             return;
         }
 
+        // Reset everyone else for the round
+        this.state.players.forEach(player => {
+            if (player.id === this.state.gorillaPlayerId) return;
+            this.setPlayerDefaults(player); // Resets HP, lives, stamina, position
+            player.state = "playing";
+        });
+
 
         // Spawn AI bots if needed
         const activePlayersArray = Array.from(this.state.players.values());
-        this.aiBotSystem.spawnBots(activePlayersArray, BOT_TARGET_TOTAL_HUMANS);
+        this.aiBotSystem.spawnBots(activePlayersArray, this.rules.botTargetTotalHumans, this.rules.botDifficulty);
+        this.squadTactics.reset();
+        this.matchStats.startRound(this.state.players.values());
+
+        this.replayRecorder.startRound({
+            roomId: this.roomId,
+            seed: this.state.roundSeed,
+            mapData: this.mapData,
+            players: this.state.players.values(),
+            now: this.clock.currentTime
+        });
     }
 
     updateRound(deltaSeconds) {
         this.state.roundTime += deltaSeconds;
 
-        // Regenerate stamina for all players
+        // Expire status effects, then sprint drain and dodge rolls (sets moveSpeed for this tick's movement)
+        this.statusEffectSystem.update(this.state.players.values());
+        this.mobilitySystem.update(deltaSeconds, this.getAbilityContext());
+
+        // Regenerate stamina for all players (not while sprinting)
         this.state.players.forEach(player => {
-            if (player.state === "playing") {
+            if (player.state === "playing" && !player.isSprinting) {
                 this.staminaSystem.regenerateStamina(player, deltaSeconds);
             }
         });
 
         // Update AI Bots
         const gorillaPlayer = this.state.gorillaPlayerId ? this.state.players.get(this.state.gorillaPlayerId) : null;
-        const activeBots = Array.from(this.state.players.values()).filter(p => p.isBot && p.state === 'playing');
+        const humans = Array.from(this.state.players.values()).filter(p => p.role === 'human');
+        const activeBots = humans.filter(p => p.isBot && p.state === 'playing');
         if (gorillaPlayer && gorillaPlayer.state === 'playing') {
-            this.aiBotSystem.updateBots(activeBots, gorillaPlayer, this.state.mapObstacles, this.clock.currentTime);
+            const orders = this.squadTactics.update(activeBots, gorillaPlayer, humans, this.clock.currentTime);
+            this.aiBotSystem.updateBots(activeBots, gorillaPlayer, this.clock.currentTime, humans, orders);
+            if (gorillaPlayer.isBot) {
+                this.aiBotSystem.updateGorillaBot(gorillaPlayer, humans, this.clock.currentTime);
+            }
         }
 
+        // Advance gorilla charges (they override normal movement while active) and knockback impulses
+        this.pushCombatEvents(this.gorillaAbilitySystem.updateCharges(deltaSeconds, this.getAbilityContext()), this.clock.currentTime);
+        this.combatSystem.updateKnockback(deltaSeconds, this.getAbilityContext());
+
+        // Integrate movement for everyone (humans, bots and gorilla) from their current intent
+        this.state.players.forEach(player => {
+            this.movePlayer(player, deltaSeconds);
+            player.lastInputSeq = player.inputSeq; // Ack inputs now reflected in x/y (client reconciliation)
+        });
+        this.lagCompensation.recordPositions(this.state.players.values(), this.clock.currentTime);
+        this.matchStats.update(this.state.players.values(), deltaSeconds);
+        this.replayRecorder.recordSnapshot(this.state.players.values(), this.state.events, this.clock.currentTime);
+
 
         // Check win/loss conditions
         let currentTotalHumanLives = 0;
@@ -757,7 +1212,7 @@ class MatchRoom extends colyseus.Room {
             this.startResultsPhase("gorilla_wins");
             return;
         }
-        if (this.state.roundTime >= ROUND_DURATION_SECONDS) {
+        if (this.state.roundTime >= this.rules.roundDurationSeconds) {
             // Time's up! Decide winner based on remaining lives/hp (e.g., Gorilla wins if any human lives left, else draw or human win)
             // For MVP: Gorilla wins on time up if humans haven't won.
             this.startResultsPhase(currentTotalHumanLives > 0 ? "gorilla_wins_time_up" : "draw_time_up");
@@ -769,34 +1224,163 @@ class MatchRoom extends colyseus.Room {
         this.state.gamePhase = "results";
         this.state.countdown = RESULTS_DURATION_SECONDS; // Re-use countdown for results duration
         console.log("Results phase started:", result);
-        this.broadcast("game_over", { result: result /*, scores: this.calculateScores() */ });
-        // Scores can be derived from final player states on client, or computed here.
+        // Scoreboard: per-player round stats, best first (see MatchStatsSystem.getScoreboard).
+        // saveMatch fills in each entry's rating change before returning, so it goes out with them.
+        const scoreboard = this.matchStats.getScoreboard(this.state.players);
+        this.saveMatch(result, scoreboard);
+        this.broadcast("game_over", { result: result, scoreboard: scoreboard });
+        this.saveReplay(result); // After saveMatch, which reads the id of the recording it links to
+        this.startMapVote();
+    }
+
+    // Stores the match summary and updates the profiles (totals and role ratings) of everyone who played.
+    // Sets `rating` on each scoreboard entry straight away; the files are written in the background and
+    // failures are logged, not thrown.
+    saveMatch(result, scoreboard) {
+        const replayId = this.replayRecorder.getReplayId();
+        const match = {
+            id: replayId || `${Date.now()}-${this.roomId}`,
+            replayId,
+            roomId: this.roomId,
+            endedAt: new Date().toISOString(),
+            mapId: this.state.mapId,
+            result,
+            winningRole: getWinningRole(result),
+            durationMs: Math.round(this.state.roundTime * 1000),
+            players: scoreboard
+        };
+        return recordMatch(match).catch(e => console.error("Failed to save match:", e));
+    }
+
+    // Finishes the round's recording (if any) and writes it to server/replays in the background
+    saveReplay(result) {
+        const saving = this.replayRecorder.finishRound(result, this.clock.currentTime);
+        if (saving) {
+            saving.catch(e => console.error("Failed to save replay:", e));
+        }
+    }
+
+    // Offers a few maps for the next round, rotating away from the one just played when possible
+    startMapVote() {
+        let mapIds = [];
+        try {
+            mapIds = listMaps();
+        } catch (e) {
+            console.error("Failed to list maps for vote:", e);
+        }
+        const others = mapIds.filter(id => id !== this.state.mapId);
+        const pool = others.length > 0 ? others : mapIds;
+        // Fisher-Yates shuffle, then take the first few
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = this.rng.nextInt(i + 1);
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+
+        this.mapVotes.clear();
+        this.state.mapCandidates.clear();
+        for (const mapId of pool.slice(0, MAP_VOTE_CANDIDATES)) {
+            let mapData;
+            try {
+                mapData = loadMap(mapId);
+            } catch (e) {
+                console.error(`Skipping map "${mapId}" in vote:`, e.message);
+                continue;
+            }
+            const candidate = new MapCandidate();
+            candidate.id = mapData.id;
+            candidate.name = mapData.metadata.name;
+            this.state.mapCandidates.push(candidate);
+        }
+    }
+
+    handleMapVote(client, message) {
+        if (this.state.gamePhase !== "results") return;
+        const player = this.state.players.get(client.sessionId);
+        if (!player || player.isBot || !message || typeof message.mapId !== 'string') return;
+        if (!this.state.mapCandidates.some(candidate => candidate.id === message.mapId)) return;
+
+        this.mapVotes.set(client.sessionId, message.mapId);
+        this.tallyMapVotes();
+    }
+
+    tallyMapVotes() {
+        this.state.mapCandidates.forEach(candidate => {
+            candidate.votes = 0;
+        });
+        this.mapVotes.forEach(mapId => {
+            const candidate = this.state.mapCandidates.find(c => c.id === mapId);
+            if (candidate) candidate.votes++;
+        });
+    }
+
+    // Picks the most voted candidate, breaking ties randomly (no votes = random rotation)
+    resolveMapVote() {
+        if (this.state.mapCandidates.length === 0) return null;
+        let topVotes = -1;
+        let leaders = [];
+        this.state.mapCandidates.forEach(candidate => {
+            if (candidate.votes > topVotes) {
+                topVotes = candidate.votes;
+                leaders = [candidate.id];
+            } else if (candidate.votes === topVotes) {
+                leaders.push(candidate.id);
+            }
+        });
+        return this.rng.pick(leaders);
     }
 
     updateResults(deltaSeconds) {
         this.state.countdown -= deltaSeconds;
         if (this.state.countdown <= 0) {
+            // Load the voted map before anyone sees the lobby
+            const nextMapId = this.resolveMapVote();
+            if (nextMapId && nextMapId !== this.state.mapId) {
+                try {
+                    this.applyMap(loadMap(nextMapId));
+                } catch (e) {
+                    console.error(`Failed to load voted map "${nextMapId}", keeping current map:`, e.message);
+                }
+            }
+            this.state.mapCandidates.clear();
+            this.mapVotes.clear();
+
             this.state.gamePhase = "lobby";
             this.broadcast("lobby_phase");
             console.log("Returning to lobby.");
-            // Reset gorilla queue or keep it for next game? For now, keep.
-            // Players remain, roles might be re-selected or kept.
-            // Gorilla assignment will happen again in lobby.
-            this.state.gorillaPlayerId = null; // Clear current gorilla for re-assignment
+            // The gorilla goes back into the queue, behind everyone already waiting, and the
+            // lobby picks the next gorilla from the whole queue (see pickNextGorilla). A gorilla
+            // bot keeps the role until a real player queues for it (see updateLobby).
+            const formerGorilla = this.state.players.get(this.state.gorillaPlayerId);
+            if (!formerGorilla || !formerGorilla.isBot) {
+                if (formerGorilla) {
+                    formerGorilla.role = "human";
+                    this.addToGorillaQueue(formerGorilla.id);
+                }
+                this.state.gorillaPlayerId = null; // Clear current gorilla for re-assignment
+            }
+            // Human bots only filled out the round just played; startRound spawns as many as the next one needs
+            const leftoverBotIds = [];
+            this.state.players.forEach(p => {
+                if (p.isBot && p.role === "human") leftoverBotIds.push(p.id);
+            });
+            leftoverBotIds.forEach(botId => this.removeBotFromState(botId));
             this.state.players.forEach(p => {
                 // Don't reset roles here, let them re-select or keep.
                 // Resetting positions and core stats will happen at startRound.
                 p.state = "playing"; // So they appear active in lobby
+                p.ready = false; // Everyone readies up again for the next round
             });
         }
     }
 
     onDispose() {
         console.log("Room", this.roomId, "disposing...");
+        this.saveReplay("aborted"); // Keep whatever was recorded of an unfinished round
+        if (this.joinCode) releaseJoinCode(this.joinCode);
         if (this.aiBotSystem && this.aiBotSystem.bots) {
              this.aiBotSystem.bots.clear(); // Clear any bot-specific data
         }
     }
 }
 
-module.exports = { MatchRoom, GameState, Player, Obstacle, ChatMessage }; // Export GameState for potential server-side use
\ No newline at end of file
+module.exports = { MatchRoom, GameState, Player, StatusEffect, Obstacle, ChatMessage, MapCandidate }; // Export GameState for potential server-side use
\ No newline at end of file
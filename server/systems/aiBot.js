@@ -1,67 +1,307 @@
 // server/systems/aiBot.js
-const { circleRectCollision } = require('../utils/collision'); // For obstacle avoidance
+const { buildNavGrid, findPath, hasLineOfSight } = require('../utils/navGrid');
 
 const DEFAULT_BOT_TARGET_CHECK_INTERVAL = 200; // ms, how often a bot re-evaluates target and decides to attack
 const DEFAULT_BOT_MOVE_UPDATE_INTERVAL = 100; // ms, how often a bot sends a move command
-const FLEE_HP_THRESHOLD = 3;
-const OBSTACLE_AVOID_DISTANCE = 2; // How far ahead to check for obstacles (in player bodyRadius units)
+const REPATH_DISTANCE = 3; // A cached path is replaced once its goal is this far from where the bot now wants to go
+const REPATH_INTERVAL_MS = 2000; // ...or once it is this old, in case the bot was knocked off it
+const WAYPOINT_REACHED_DISTANCE = 0.5;
+
+// Difficulty tiers. reactionDelayMs: how stale a bot's idea of where the gorilla is can get.
+// aimErrorRad: largest random error added to each punch's aim. swingRangeMultiplier: bots swing once
+// the gorilla is within this multiple of their reach, so anything above 1 wastes punches.
+// staminaReserve: stamina kept back for dodging instead of punching. fleeHpThreshold/safeDistance:
+// bots at or below this HP run until they are this far from the gorilla. dodgeWhenFleeing: start
+// fleeing with a dodge roll away from the gorilla.
+const DIFFICULTY_PROFILES = {
+    easy: { reactionDelayMs: 500, aimErrorRad: 0.5, swingRangeMultiplier: 1.4, staminaReserve: 0, fleeHpThreshold: 2, safeDistance: 8, dodgeWhenFleeing: false },
+    normal: { reactionDelayMs: 250, aimErrorRad: 0.25, swingRangeMultiplier: 1.15, staminaReserve: 5, fleeHpThreshold: 3, safeDistance: 12, dodgeWhenFleeing: false },
+    hard: { reactionDelayMs: 100, aimErrorRad: 0.08, swingRangeMultiplier: 1, staminaReserve: 15, fleeHpThreshold: 4, safeDistance: 16, dodgeWhenFleeing: true }
+};
+const DEFAULT_DIFFICULTY = 'normal';
+// With no difficulty chosen, the share of human slots filled by bots picks one: a mostly-bot
+// team is kept easy so a lone gorilla isn't swarmed, and a few bots topping up real players play hard
+const EASY_BOT_SHARE = 0.7; // At least this share of bots: easy
+const HARD_BOT_SHARE = 0.3; // Below this share of bots: hard
+
+// Personalities, picked at random (by weight) for each bot. brawler: always goes in. tank: goes in
+// and never flees. kiter: waits just outside the gorilla's reach and steps in while its punch is
+// on cooldown. support: hangs back unless another human is already closer to the gorilla.
+const PERSONALITY_WEIGHTS = { brawler: 4, tank: 2, kiter: 2, support: 2 };
+const KITE_MARGIN = 2; // How far outside the gorilla's reach kiters wait
+const SUPPORT_MARGIN = 4; // How far outside the gorilla's reach supports wait
+
+// Gorilla bot. It hunts one human at a time, picked by a score where lower is better:
+// distance, plus TARGET_HP_WEIGHT per HP left, minus TARGET_ISOLATION_WEIGHT per unit of distance
+// to that human's nearest teammate (up to ISOLATION_CAP). So it goes for close, hurt, lone humans.
+const GORILLA_BOT_NICKNAME = "Gorilla (bot)";
+const GORILLA_RETARGET_INTERVAL_MS = 1000;
+const TARGET_HP_WEIGHT = 1.5;
+const TARGET_ISOLATION_WEIGHT = 0.5;
+const ISOLATION_CAP = 20;
+const SLAM_MIN_TARGETS = 2; // Humans inside ground slam range before it is worth the stamina
+const CHARGE_MIN_DISTANCE = 6; // Closer targets are punched rather than charged
 
 class AIBotSystem {
     /**
      * @param {object} room - Reference to the Colyseus Room instance.
      *                        Expected to have methods like:
      *                        - room.handlePlayerInput(botId, action)
-     *                        - room.getValidSpawnPosition()
+     *                        - room.getValidSpawnPosition(role, bodyRadius)
      *                        - room.addNewBotToState(botData) // Or similar to create bot entity
      * @param {object} balanceConfig - The game's balance configuration.
+     * @param {SeededRandom} rng - The room's seeded PRNG; all bot randomness draws from it.
      */
-    constructor(room, balanceConfig) {
+    constructor(room, balanceConfig, rng) {
         this.room = room;
         this.balance = balanceConfig;
+        this.rng = rng;
         this.bots = new Map(); // Stores bot-specific data like last action times
+        this.navGrids = new Map(); // bodyRadius -> navigation grid for the current map (see utils/navGrid.js)
+        this.mapBounds = { width: 0, height: 0 };
+        this.obstacles = [];
         this.botTargetCheckInterval = DEFAULT_BOT_TARGET_CHECK_INTERVAL;
         this.botMoveUpdateInterval = DEFAULT_BOT_MOVE_UPDATE_INTERVAL; 
     }
 
     /**
-     * Spawns AI bots if the current human player count is less than the desired total.
+     * Rebuilds navigation for a newly loaded map. Call whenever the room's map changes.
+     * @param {Iterable<object>} obstacles - The map's obstacles.
+     * @param {number} mapWidth
+     * @param {number} mapHeight
+     */
+    setMap(obstacles, mapWidth, mapHeight) {
+        this.obstacles = Array.from(obstacles);
+        this.mapBounds = { width: mapWidth, height: mapHeight };
+        this.navGrids.clear();
+        for (const botState of this.bots.values()) {
+            botState.path = null;
+        }
+        this.getNavGrid(this.balance.human.body_radius); // Most bots are human, so build their grid up front
+    }
+
+    // Grids depend on body size, so there is one per radius, built on first use
+    getNavGrid(bodyRadius) {
+        let grid = this.navGrids.get(bodyRadius);
+        if (!grid) {
+            grid = buildNavGrid(this.obstacles, this.mapBounds.width, this.mapBounds.height, bodyRadius);
+            this.navGrids.set(bodyRadius, grid);
+        }
+        return grid;
+    }
+
+    /**
+     * Where a bot should head next on its way to a target: straight there when nothing is in the
+     * way, otherwise the next waypoint of a cached A* path, found again when the target has moved
+     * REPATH_DISTANCE or the path is REPATH_INTERVAL_MS old.
+     * @returns {{x: number, y: number}}
+     */
+    getNextWaypoint(bot, botState, targetX, targetY, currentTime) {
+        const radius = bot.bodyRadius || 1;
+        const goalX = Math.max(radius, Math.min(this.mapBounds.width - radius, targetX));
+        const goalY = Math.max(radius, Math.min(this.mapBounds.height - radius, targetY));
+        const grid = this.getNavGrid(radius);
+        if (hasLineOfSight(grid, bot.x, bot.y, goalX, goalY)) {
+            botState.path = null;
+            return { x: goalX, y: goalY };
+        }
+
+        const path = botState.path;
+        const stale = !path || path.length === 0 ||
+            Math.hypot(goalX - botState.pathGoalX, goalY - botState.pathGoalY) > REPATH_DISTANCE ||
+            currentTime - botState.pathTime > REPATH_INTERVAL_MS;
+        if (stale) {
+            botState.path = findPath(grid, bot.x, bot.y, goalX, goalY);
+            botState.pathGoalX = goalX;
+            botState.pathGoalY = goalY;
+            botState.pathTime = currentTime;
+            if (!botState.path) return { x: goalX, y: goalY }; // Unreachable; push towards it anyway
+        }
+
+        while (botState.path.length > 1 &&
+            Math.hypot(botState.path[0].x - bot.x, botState.path[0].y - bot.y) < WAYPOINT_REACHED_DISTANCE) {
+            botState.path.shift();
+        }
+        return botState.path[0];
+    }
+
+    /**
+     * Spawns AI bots if the current human count (players and bots) is less than the desired total.
      * @param {Array<object>} allPlayers - Array of all player objects in the room's state.
      * @param {number} targetTotalHumans - The desired total number of humans (players + bots).
+     * @param {string|null} [difficulty] - A DIFFICULTY_PROFILES key; null picks one from how many
+     *                                     human slots the bots fill (see chooseDifficulty).
      */
-    spawnBots(allPlayers, targetTotalHumans = 10) {
-        const humanPlayers = allPlayers.filter(p => p.role === 'human' && !p.isBot);
-        let botsToSpawnCount = targetTotalHumans - humanPlayers.length;
+    spawnBots(allPlayers, targetTotalHumans = 10, difficulty = null) {
+        const humans = allPlayers.filter(p => p.role === 'human');
+        const botsToSpawnCount = targetTotalHumans - humans.length;
+        const botCount = humans.filter(p => p.isBot).length + botsToSpawnCount;
+        const botDifficulty = DIFFICULTY_PROFILES[difficulty] ? difficulty : this.chooseDifficulty(botCount, targetTotalHumans);
 
         for (let i = 0; i < botsToSpawnCount; i++) {
-            const botId = `bot_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
-            const spawnPosition = this.room.getValidSpawnPosition ? this.room.getValidSpawnPosition() : { x: Math.random() * 100, y: Math.random() * 100 };
-            
-            const humanConfig = this.balance.human;
-            const botData = {
-                id: botId,
-                isBot: true,
-                role: 'human',
-                x: spawnPosition.x,
-                y: spawnPosition.y,
-                hp: humanConfig.health,
-                lives: humanConfig.lives,
-                st: humanConfig.stamina,
-                // Other initial states as needed, e.g., state: 'playing'
-            };
-
-            if (this.room.addNewBotToState) {
-                this.room.addNewBotToState(botData); // Room adds the bot to its state
-                this.bots.set(botId, { 
-                    id: botId, 
-                    lastAttackTime: 0, 
-                    lastMoveTime: 0,
-                    lastTargetCheckTime: 0 
-                });
-                console.log(`AIBotSystem: Spawned bot ${botId}`);
-            } else {
-                console.error("AIBotSystem: room.addNewBotToState is not defined. Cannot spawn bot.");
-                return; // Stop spawning if room can't handle it
+            if (!this.spawnHumanBot(allPlayers, botDifficulty)) return; // Stop spawning if room can't handle it
+        }
+    }
+
+    /**
+     * Puts a bot in the slot of a human who left mid-round, if the human side is now below the
+     * desired total. The bot carries on from where the human was, with their HP, stamina and lives left.
+     * @param {Array<object>} allPlayers - The room's players, without the one who left.
+     * @param {object} human - The player who left.
+     * @param {number} targetTotalHumans - The desired total number of humans (players + bots).
+     * @param {string|null} [difficulty] - As for spawnBots.
+     * @returns {string|null} The new bot's id, or null if none was needed (or the room can't add bots).
+     */
+    replaceHuman(allPlayers, human, targetTotalHumans, difficulty = null) {
+        const humans = allPlayers.filter(p => p.role === 'human');
+        if (humans.length >= targetTotalHumans) return null;
+        const botCount = humans.filter(p => p.isBot).length + 1;
+        const botDifficulty = DIFFICULTY_PROFILES[difficulty] ? difficulty : this.chooseDifficulty(botCount, targetTotalHumans);
+        return this.spawnHumanBot(allPlayers, botDifficulty, { x: human.x, y: human.y, hp: human.hp, lives: human.lives, st: human.st });
+    }
+
+    /**
+     * Adds one human bot to the room.
+     * @param {Array<object>} allPlayers - Players already in the room, to avoid id collisions.
+     * @param {string} difficulty - A DIFFICULTY_PROFILES key.
+     * @param {object} [slot] - { x, y, hp, lives, st } to start from; by default a fresh human at a spawn point.
+     * @returns {string|null} The bot's id, or null if the room can't add bots.
+     */
+    spawnHumanBot(allPlayers, difficulty, slot = null) {
+        if (!this.room.addNewBotToState) {
+            console.error("AIBotSystem: room.addNewBotToState is not defined. Cannot spawn bot.");
+            return null;
+        }
+        const botId = this.generateBotId(allPlayers);
+        const humanConfig = this.balance.human;
+        const spawnPosition = slot ||
+            (this.room.getValidSpawnPosition ? this.room.getValidSpawnPosition('human', humanConfig.body_radius) : { x: this.rng.next() * 100, y: this.rng.next() * 100 });
+
+        this.room.addNewBotToState({ // Room adds the bot to its state
+            id: botId,
+            isBot: true,
+            role: 'human',
+            x: spawnPosition.x,
+            y: spawnPosition.y,
+            hp: slot ? slot.hp : humanConfig.health,
+            lives: slot ? slot.lives : humanConfig.lives,
+            st: slot ? slot.st : humanConfig.stamina
+        });
+        const botState = this.createBotState(botId, difficulty);
+        this.bots.set(botId, botState);
+        console.log(`AIBotSystem: Spawned ${botState.difficulty} ${botState.personality} bot ${botId}`);
+        return botId;
+    }
+
+    /**
+     * Difficulty for bots when the room doesn't set one: the more of the human side is bots, the easier.
+     * @param {number} botCount - Bots about to fill the human side.
+     * @param {number} targetTotalHumans
+     * @returns {string} A DIFFICULTY_PROFILES key.
+     */
+    chooseDifficulty(botCount, targetTotalHumans) {
+        if (targetTotalHumans <= 0) return DEFAULT_DIFFICULTY;
+        const botShare = botCount / targetTotalHumans;
+        if (botShare >= EASY_BOT_SHARE) return 'easy';
+        if (botShare < HARD_BOT_SHARE) return 'hard';
+        return DEFAULT_DIFFICULTY;
+    }
+
+    // Weighted pick from PERSONALITY_WEIGHTS
+    pickPersonality() {
+        const entries = Object.entries(PERSONALITY_WEIGHTS);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.rng.next() * totalWeight;
+        for (const [personality, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return personality;
+        }
+        return entries[0][0];
+    }
+
+    createBotState(botId, difficulty = DEFAULT_DIFFICULTY, personality = this.pickPersonality()) {
+        return {
+            id: botId,
+            difficulty,
+            profile: DIFFICULTY_PROFILES[difficulty] || DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY],
+            personality, // "gorilla" for the gorilla bot
+            lastAttackTime: 0,
+            lastMoveTime: 0,
+            lastTargetCheckTime: 0,
+            lastPerceptionTime: -Infinity,
+            perceivedX: 0, // Where the bot thinks the gorilla is, refreshed every profile.reactionDelayMs
+            perceivedY: 0,
+            fleeing: false,
+            path: null, // Cached waypoints from getNextWaypoint, with the goal and time they were found for
+            pathGoalX: 0,
+            pathGoalY: 0,
+            pathTime: 0,
+            targetId: null, // Gorilla bot: the human it is hunting
+            lastRetargetTime: -Infinity
+        };
+    }
+
+    /**
+     * Creates a bot id from the seeded PRNG (not the wall clock) so replays produce the same ids.
+     * @param {Array<object>} allPlayers - Players already in the room, to avoid collisions.
+     * @returns {string}
+     */
+    generateBotId(allPlayers) {
+        let botId;
+        do {
+            botId = `bot_${this.rng.nextInt(0x1000000).toString(16)}`;
+        } while (this.bots.has(botId) || allPlayers.some(p => p.id === botId));
+        return botId;
+    }
+
+    // Distance between centers at which the gorilla's punch reaches a human: its hit range plus the
+    // human's body radius, as CombatSystem.processAttack checks it
+    getGorillaReach(bot, gorilla) {
+        const gorillaConfig = this.balance[gorilla.role];
+        return (gorillaConfig.hit_range || 1.2) + (bot.bodyRadius || 1);
+    }
+
+    /**
+     * Whether a bot's personality wants it next to the gorilla right now, rather than waiting nearby.
+     * @returns {boolean}
+     */
+    wantsToEngage(botState, bot, gorilla, allHumans, currentTime) {
+        switch (botState.personality) {
+            case 'kiter': // In while the gorilla's punch is recharging
+                return currentTime - gorilla.lastAttackTime < gorilla.punchCooldownMs;
+            case 'support': { // In once someone else is closer to the gorilla
+                const ownDistSq = (bot.x - gorilla.x) ** 2 + (bot.y - gorilla.y) ** 2;
+                return allHumans.some(other => other.id !== bot.id && other.state === 'playing' &&
+                    (other.x - gorilla.x) ** 2 + (other.y - gorilla.y) ** 2 < ownDistSq);
             }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Swings at the gorilla if it is within the bot's (difficulty-scaled) reach and the bot can spare
+     * the stamina. Throttled to once per botTargetCheckInterval.
+     * @param {number} gorillaX - Where the bot perceives the gorilla to be.
+     * @param {number} gorillaY
+     */
+    tryAttack(bot, botState, gorilla, gorillaX, gorillaY, currentTime) {
+        if (currentTime - botState.lastTargetCheckTime <= this.botTargetCheckInterval) return;
+        botState.lastTargetCheckTime = currentTime;
+        const profile = botState.profile;
+        const dxAttack = gorillaX - bot.x;
+        const dyAttack = gorillaY - bot.y;
+
+        const attackerConfig = this.balance[bot.role]; // e.g., human
+        const targetConfig = this.balance[gorilla.role]; // e.g., gorilla
+
+        const attackRange = ((attackerConfig.hit_range || 0.9) + (targetConfig.body_radius || 3)) * profile.swingRangeMultiplier;
+        const canAffordSwing = bot.st - (attackerConfig.stamina_per_punch || 1) >= profile.staminaReserve;
+
+        if (Math.hypot(dxAttack, dyAttack) < attackRange && canAffordSwing && this.room.handlePlayerInput) {
+            const aimError = (this.rng.next() * 2 - 1) * profile.aimErrorRad;
+            this.room.handlePlayerInput(bot.id, { t: 'a', angle: Math.atan2(dyAttack, dxAttack) + aimError });
+            botState.lastAttackTime = currentTime;
         }
     }
 
@@ -69,114 +309,218 @@ class AIBotSystem {
      * Updates the state and actions for all AI bots.
      * @param {Array<object>} activeBots - Array of active bot player objects from the room's state.
      * @param {object|null} gorillaPlayer - The gorilla player object, or null if none.
-     * @param {ArraySchema<Obstacle>} obstacles - The map obstacles from room state.
      * @param {number} currentTime - The current server time (e.g., from room.clock.currentTime).
+     * @param {Array<object>} [allHumans] - Every human (players and bots), for support bots; defaults to activeBots.
+     * @param {Map<string, object>|null} [orders] - Squad orders by bot id (see SquadTacticsSystem.update).
+     *                                              A bot with an order follows it instead of its personality.
      */
-    updateBots(activeBots, gorillaPlayer, obstacles, currentTime) {
+    updateBots(activeBots, gorillaPlayer, currentTime, allHumans = activeBots, orders = null) {
         for (const bot of activeBots) {
             if (!bot.isBot || bot.state === 'dead') continue;
 
             let botState = this.bots.get(bot.id);
             if (!botState) {
-                botState = { id: bot.id, lastAttackTime: 0, lastMoveTime: 0, lastTargetCheckTime: 0 };
+                botState = this.createBotState(bot.id);
                 this.bots.set(bot.id, botState);
             }
+            const profile = botState.profile;
 
             let targetX = bot.x;
             let targetY = bot.y;
-            let fleeing = false;
             let engageTarget = gorillaPlayer; // By default, human bots target the gorilla
 
-            // Fleeing logic
-            if (bot.hp <= FLEE_HP_THRESHOLD) {
-                fleeing = true;
-                if (engageTarget && engageTarget.state !== 'dead') {
-                    // Flee directly away from the primary target (gorilla)
-                    targetX = bot.x - (engageTarget.x - bot.x);
-                    targetY = bot.y - (engageTarget.y - bot.y);
-                } else {
-                    fleeing = false; // No valid target to flee from
+            if (!engageTarget || engageTarget.state === 'dead') {
+                botState.fleeing = false;
+                if (this.room.handlePlayerInput) {
+                     this.room.handlePlayerInput(bot.id, { t: 'i', dx: 0, dy: 0 }); // Stop
                 }
+                continue; // No further movement logic if there is no target
             }
 
-            // Regular targeting if not fleeing and a valid target exists
-            if (!fleeing && engageTarget && engageTarget.state !== 'dead') {
-                targetX = engageTarget.x;
-                targetY = engageTarget.y;
-
-                // Attack logic (throttled)
-                if (currentTime - botState.lastTargetCheckTime > this.botTargetCheckInterval) {
-                    botState.lastTargetCheckTime = currentTime;
-                    const dxAttack = targetX - bot.x;
-                    const dyAttack = targetY - bot.y;
-                    const distSqAttack = dxAttack * dxAttack + dyAttack * dyAttack;
-                    
-                    const attackerConfig = this.balance[bot.role]; // e.g., human
-                    const targetConfig = this.balance[engageTarget.role]; // e.g., gorilla
-                    
-                    const attackRange = (attackerConfig.hit_range || 0.9) + (targetConfig.body_radius || 3);
-
-                    if (distSqAttack < attackRange * attackRange) {
-                        if (this.room.handlePlayerInput) {
-                            this.room.handlePlayerInput(bot.id, { t: 'a' });
-                            botState.lastAttackTime = currentTime;
-                        }
+            // Bots act on where they last noticed the gorilla, which lags by their reaction delay
+            if (currentTime - botState.lastPerceptionTime >= profile.reactionDelayMs) {
+                botState.lastPerceptionTime = currentTime;
+                botState.perceivedX = engageTarget.x;
+                botState.perceivedY = engageTarget.y;
+            }
+            const gorillaX = botState.perceivedX;
+            const gorillaY = botState.perceivedY;
+            const distToGorilla = Math.hypot(gorillaX - bot.x, gorillaY - bot.y);
+            const order = orders ? orders.get(bot.id) : null;
+
+            // Fleeing logic: a squad retreat order, or else run while hurt until far enough away (tanks never flee)
+            const fleeHpThreshold = botState.personality === 'tank' ? 0 : profile.fleeHpThreshold;
+            const wasFleeing = botState.fleeing;
+            botState.fleeing = order ? order.role === 'retreat' : bot.hp <= fleeHpThreshold;
+            if (botState.fleeing) {
+                if (order) { // Head for the cover the squad picked
+                    targetX = order.x;
+                    targetY = order.y;
+                } else if (distToGorilla >= profile.safeDistance) {
+                    if (this.room.handlePlayerInput) {
+                        this.room.handlePlayerInput(bot.id, { t: 'i', dx: 0, dy: 0 }); // Far enough; wait it out
                     }
+                    continue;
+                } else { // Flee directly away from the gorilla
+                    targetX = bot.x - (gorillaX - bot.x);
+                    targetY = bot.y - (gorillaY - bot.y);
                 }
-            } else if (!fleeing) { // Not fleeing, but no valid target
-                if (this.room.handlePlayerInput) {
-                     this.room.handlePlayerInput(bot.id, { t: 'i', dx: 0, dy: 0 }); // Stop
+                if (!wasFleeing && profile.dodgeWhenFleeing && this.room.handlePlayerInput) {
+                    this.room.handlePlayerInput(bot.id, { t: 'dodge', dx: bot.x - gorillaX, dy: bot.y - gorillaY });
+                }
+            } else if (order ? order.engage : this.wantsToEngage(botState, bot, engageTarget, allHumans, currentTime)) {
+                targetX = gorillaX;
+                targetY = gorillaY;
+                this.tryAttack(bot, botState, engageTarget, gorillaX, gorillaY, currentTime);
+            } else if (order) {
+                // Hold the squad position, but still swing if the gorilla comes within reach
+                targetX = order.x;
+                targetY = order.y;
+                this.tryAttack(bot, botState, engageTarget, gorillaX, gorillaY, currentTime);
+            } else {
+                // Wait just outside the gorilla's reach, on the line between it and the bot
+                const margin = botState.personality === 'kiter' ? KITE_MARGIN : SUPPORT_MARGIN;
+                const holdDistance = this.getGorillaReach(bot, engageTarget) + margin;
+                if (distToGorilla > 0) {
+                    targetX = gorillaX + (bot.x - gorillaX) / distToGorilla * holdDistance;
+                    targetY = gorillaY + (bot.y - gorillaY) / distToGorilla * holdDistance;
                 }
-                continue; // No further movement logic if no target and not fleeing
             }
 
-            // Movement logic (throttled)
+            // Movement logic (throttled): follow the path towards the target
             if (currentTime - botState.lastMoveTime > this.botMoveUpdateInterval) {
                 botState.lastMoveTime = currentTime;
-                let moveDx = targetX - bot.x;
-                let moveDy = targetY - bot.y;
-                const distToTarget = Math.sqrt(moveDx * moveDx + moveDy * moveDy);
-
-                if (distToTarget > 0.1) { // Avoid division by zero and tiny movements
-                    moveDx /= distToTarget;
-                    moveDy /= distToTarget;
-
-                    // Obstacle Avoidance
-                    const lookAheadDist = (bot.bodyRadius || 1) * OBSTACLE_AVOID_DISTANCE;
-                    const checkX = bot.x + moveDx * lookAheadDist;
-                    const checkY = bot.y + moveDy * lookAheadDist;
-
-                    let impendingCollision = false;
-                    if (obstacles && obstacles.length > 0) {
-                        for (const obs of obstacles) {
-                            if (circleRectCollision(checkX, checkY, (bot.bodyRadius || 1), obs.x, obs.y, obs.width, obs.height)) {
-                                impendingCollision = true;
-                                break;
-                            }
-                        }
-                    }
+                const waypoint = this.getNextWaypoint(bot, botState, targetX, targetY, currentTime);
+                const moveDx = waypoint.x - bot.x;
+                const moveDy = waypoint.y - bot.y;
+                const distToWaypoint = Math.sqrt(moveDx * moveDx + moveDy * moveDy);
 
-                    if (impendingCollision) {
-                        // Simple sidestep: rotate current movement vector by +/- 90 degrees randomly
-                        const angle = Math.random() > 0.5 ? Math.PI / 2 : -Math.PI / 2;
-                        const newMoveDx = moveDx * Math.cos(angle) - moveDy * Math.sin(angle);
-                        const newMoveDy = moveDx * Math.sin(angle) + moveDy * Math.cos(angle);
-                        moveDx = newMoveDx;
-                        moveDy = newMoveDy;
-                    }
-                    
-                    if (this.room.handlePlayerInput) {
-                        this.room.handlePlayerInput(bot.id, { t: 'i', dx: moveDx, dy: moveDy });
+                if (this.room.handlePlayerInput) {
+                    if (distToWaypoint > 0.1) { // Avoid division by zero and tiny movements
+                        this.room.handlePlayerInput(bot.id, { t: 'i', dx: moveDx / distToWaypoint, dy: moveDy / distToWaypoint });
+                    } else {
+                        this.room.handlePlayerInput(bot.id, { t: 'i', dx: 0, dy: 0 }); // Already where it wants to be
                     }
-                } else if (fleeing && distToTarget <= 0.1) {
-                     if (this.room.handlePlayerInput) { // If fleeing and "reached" flee direction (effectively stopped), stop sending input
-                        this.room.handlePlayerInput(bot.id, { t: 'i', dx: 0, dy: 0 });
-                     }
                 }
             }
         }
     }
 
+    /**
+     * Adds a bot to play the gorilla, e.g. when nobody has queued for the role (see MatchRoom.tryAssignGorilla).
+     * The room still assigns the role; this only creates the player.
+     * @param {Array<object>} allPlayers - Players already in the room, to avoid id collisions.
+     * @param {string|null} [difficulty] - A DIFFICULTY_PROFILES key; defaults to normal.
+     * @returns {string|null} The bot's id, or null if the room can't add bots.
+     */
+    spawnGorillaBot(allPlayers, difficulty = null) {
+        if (!this.room.addNewBotToState) {
+            console.error("AIBotSystem: room.addNewBotToState is not defined. Cannot spawn gorilla bot.");
+            return null;
+        }
+        const botId = this.generateBotId(allPlayers);
+        const gorillaConfig = this.balance.gorilla;
+        const spawnPosition = this.room.getValidSpawnPosition ? this.room.getValidSpawnPosition('gorilla', gorillaConfig.body_radius) : { x: this.rng.next() * 100, y: this.rng.next() * 100 };
+        this.room.addNewBotToState({
+            id: botId,
+            nickname: GORILLA_BOT_NICKNAME,
+            isBot: true,
+            role: 'gorilla',
+            x: spawnPosition.x,
+            y: spawnPosition.y,
+            hp: gorillaConfig.health,
+            lives: gorillaConfig.lives,
+            st: gorillaConfig.stamina
+        });
+        const botState = this.createBotState(botId, DIFFICULTY_PROFILES[difficulty] ? difficulty : DEFAULT_DIFFICULTY, 'gorilla');
+        this.bots.set(botId, botState);
+        console.log(`AIBotSystem: Spawned ${botState.difficulty} gorilla bot ${botId}`);
+        return botId;
+    }
+
+    // Lower is a better target (see TARGET_HP_WEIGHT and TARGET_ISOLATION_WEIGHT)
+    scoreGorillaTarget(gorilla, human, livingHumans) {
+        let nearestTeammate = ISOLATION_CAP;
+        for (const other of livingHumans) {
+            if (other.id === human.id) continue;
+            nearestTeammate = Math.min(nearestTeammate, Math.hypot(other.x - human.x, other.y - human.y));
+        }
+        return Math.hypot(human.x - gorilla.x, human.y - gorilla.y) + human.hp * TARGET_HP_WEIGHT -
+            nearestTeammate * TARGET_ISOLATION_WEIGHT;
+    }
+
+    /**
+     * Runs the gorilla bot for one tick: picks a target, walks to it, and punches, slams or charges
+     * when in range, keeping the profile's stamina reserve for punches rather than spending it all on abilities.
+     * @param {object} gorilla - The gorilla player; must be a bot created by spawnGorillaBot.
+     * @param {Array<object>} humans - Every human player and bot.
+     * @param {number} currentTime
+     */
+    updateGorillaBot(gorilla, humans, currentTime) {
+        let botState = this.bots.get(gorilla.id);
+        if (!botState) {
+            botState = this.createBotState(gorilla.id, DEFAULT_DIFFICULTY, 'gorilla');
+            this.bots.set(gorilla.id, botState);
+        }
+        const profile = botState.profile;
+        const livingHumans = humans.filter(h => h.state === 'playing');
+        if (livingHumans.length === 0) {
+            this.room.handlePlayerInput(gorilla.id, { t: 'i', dx: 0, dy: 0 });
+            return;
+        }
+
+        let target = livingHumans.find(h => h.id === botState.targetId);
+        if (!target || currentTime - botState.lastRetargetTime >= GORILLA_RETARGET_INTERVAL_MS) {
+            botState.lastRetargetTime = currentTime;
+            target = livingHumans.reduce((best, human) =>
+                this.scoreGorillaTarget(gorilla, human, livingHumans) < this.scoreGorillaTarget(gorilla, best, livingHumans) ? human : best);
+            botState.targetId = target.id;
+        }
+
+        if (currentTime - botState.lastPerceptionTime >= profile.reactionDelayMs) {
+            botState.lastPerceptionTime = currentTime;
+            botState.perceivedX = target.x;
+            botState.perceivedY = target.y;
+        }
+        const dx = botState.perceivedX - gorilla.x;
+        const dy = botState.perceivedY - gorilla.y;
+        const distance = Math.hypot(dx, dy);
+        const config = this.balance.gorilla;
+        const reach = config.hit_range + (target.bodyRadius || 1);
+
+        if (currentTime - botState.lastTargetCheckTime > this.botTargetCheckInterval) {
+            botState.lastTargetCheckTime = currentTime;
+            const aimAngle = Math.atan2(dy, dx) + (this.rng.next() * 2 - 1) * profile.aimErrorRad;
+            const canAfford = cost => gorilla.st - cost >= profile.staminaReserve;
+            const humansInSlam = livingHumans.filter(h =>
+                Math.hypot(h.x - gorilla.x, h.y - gorilla.y) <= config.ground_slam_range + (h.bodyRadius || 1)).length;
+
+            if (humansInSlam >= SLAM_MIN_TARGETS && canAfford(config.ground_slam_stamina_cost)) {
+                this.room.handlePlayerInput(gorilla.id, { t: 'slam' }); // Ignored while on cooldown
+            } else if (distance >= CHARGE_MIN_DISTANCE && distance <= config.charge_range && canAfford(config.charge_stamina_cost) &&
+                hasLineOfSight(this.getNavGrid(gorilla.bodyRadius || 3), gorilla.x, gorilla.y, botState.perceivedX, botState.perceivedY)) {
+                this.room.handlePlayerInput(gorilla.id, { t: 'charge', dx: Math.cos(aimAngle), dy: Math.sin(aimAngle) });
+            } else if (distance < reach && currentTime - gorilla.lastAttackTime >= gorilla.punchCooldownMs) {
+                this.room.handlePlayerInput(gorilla.id, { t: 'a', angle: aimAngle });
+            }
+        }
+
+        if (currentTime - botState.lastMoveTime > this.botMoveUpdateInterval) {
+            botState.lastMoveTime = currentTime;
+            if (distance < reach * 0.8) { // Close enough to punch; stay put
+                this.room.handlePlayerInput(gorilla.id, { t: 'i', dx: 0, dy: 0 });
+                return;
+            }
+            const waypoint = this.getNextWaypoint(gorilla, botState, botState.perceivedX, botState.perceivedY, currentTime);
+            const moveDx = waypoint.x - gorilla.x;
+            const moveDy = waypoint.y - gorilla.y;
+            const distToWaypoint = Math.hypot(moveDx, moveDy);
+            if (distToWaypoint > 0.1) {
+                this.room.handlePlayerInput(gorilla.id, { t: 'i', dx: moveDx / distToWaypoint, dy: moveDy / distToWaypoint });
+            }
+        }
+    }
+
     removeBot(botId) {
         this.bots.delete(botId);
         // The room should handle removing the bot from its actual state.
@@ -1,12 +1,17 @@
 // server/systems/combat.js
-const { circleRectCollision } = require('../utils/collision'); // Import the new collision utility
+const { circleRectCollision, resolveMovement } = require('../utils/collision'); // Import the new collision utility
 
 const DEAD_STATE = 'dead'; // Consider moving to a shared constants file or managing via Room
+const KNOCKBACK_DAMPING = 8; // Per second; knockback impulses decay exponentially, covering their full distance
+const MIN_KNOCKBACK_SPEED = 0.05; // Impulses slower than this are dropped
 
 class CombatSystem {
-    constructor(balanceConfig, respawnPlayerFn) {
+    constructor(balanceConfig, respawnPlayerFn, statusEffectSystem, rng) {
         this.balance = balanceConfig;
+        this.rng = rng; // The room's SeededRandom, so crit rolls are reproducible from the round seed
         this.respawnPlayer = respawnPlayerFn; // Callback function like: room.respawnPlayer.bind(room)
+        this.statusEffects = statusEffectSystem; // Hitstun/slow on hit; invulnerable victims are skipped
+        this.knockbacks = new Map(); // playerId -> { vx, vy } knockback velocity, resolved in updateKnockback
 
         // Player body radii based on spec. Assumes these might be added to balance.json for configurability.
         // Gorilla: "filled black circle radius 3"
@@ -19,12 +24,15 @@ class CombatSystem {
 
     /**
      * Handles an attack action from an attacker.
-     * Performs hit detection against all other players in the room.
+     * Performs hit detection against all other players in the room: targets must be within reach
+     * and inside the swing arc (`hit_arc_deg` of the attacker's role, centered on attacker.facing).
      * Applies damage and effects for any successful hits.
      * Returns an array of event objects for broadcasting.
      * Expected player object structure: { id, x, y, role, hp, lives, state }
+     * @param {function(object): {x:number, y:number}} [getTargetPosition] - Optional lookup for where a
+     *        target should be tested, e.g. its rewound position for lag compensation. Defaults to target.x/y.
      */
-    handleAttackAction(attacker, allPlayersInRoom) {
+    handleAttackAction(attacker, allPlayersInRoom, getTargetPosition) {
         if (!attacker || attacker.state === DEAD_STATE) {
             return []; // Attacker is invalid or dead
         }
@@ -33,13 +41,18 @@ class CombatSystem {
         const attackerPosition = { x: attacker.x, y: attacker.y };
         // Hit range from balance.json is treated as the radius of the punch/attack effect area.
         const attackerPunchRadius = attacker.role === 'gorilla' ? this.balance.gorilla.hit_range : this.balance.human.hit_range;
+        const arcDegrees = this._getSwingArcDegrees(attacker);
+        const facing = attacker.facing || 0;
+        // Lets clients draw the swing so it can be read (and dodged) even when it misses
+        events.push(['swing', attacker.id, attacker.x, attacker.y, Math.cos(facing), Math.sin(facing),
+            attackerPunchRadius, arcDegrees, attacker.nickname]);
 
         for (const target of allPlayersInRoom) {
             if (!target || target.id === attacker.id || target.state === DEAD_STATE) {
                 continue; // Skip self, invalid targets, or dead targets
             }
 
-            const targetPosition = { x: target.x, y: target.y };
+            const targetPosition = getTargetPosition ? getTargetPosition(target) : { x: target.x, y: target.y };
             const targetBodyRadius = this.playerBodyRadii[target.role];
 
             if (typeof attackerPosition.x !== 'number' || typeof attackerPosition.y !== 'number' ||
@@ -63,7 +76,8 @@ class CombatSystem {
             // Collision if distance between centers is less than sum of punch radius and target body radius
             const combinedRadius = attackerPunchRadius + targetBodyRadius;
 
-            if (distanceSq < combinedRadius * combinedRadius) {
+            if (distanceSq < combinedRadius * combinedRadius &&
+                this._isInSwingArc(attackerPosition, facing, arcDegrees, targetPosition, targetBodyRadius)) {
                 // Hit detected!
                 // The _applyDamageAndEffects method expects event data in a specific array format.
                 // We need to ensure the returned events are structured correctly for MatchRoom.js GameEvent schema.
@@ -89,6 +103,32 @@ class CombatSystem {
         return events;
     }
 
+    /**
+     * (Internal) Width of an attacker's swing in degrees, from `hit_arc_deg` (full circle if unset).
+     */
+    _getSwingArcDegrees(attacker) {
+        const roleConfig = this.balance[attacker.role];
+        const arcDegrees = roleConfig && roleConfig.hit_arc_deg;
+        return typeof arcDegrees === 'number' && arcDegrees > 0 ? Math.min(arcDegrees, 360) : 360;
+    }
+
+    /**
+     * (Internal) True if a target's body overlaps a swing cone of `arcDegrees` centered on `facing`.
+     * The cone is widened by the target's angular size, and a target on top of the attacker always counts.
+     */
+    _isInSwingArc(attackerPosition, facing, arcDegrees, targetPosition, targetBodyRadius) {
+        if (arcDegrees >= 360) return true;
+        const toX = targetPosition.x - attackerPosition.x;
+        const toY = targetPosition.y - attackerPosition.y;
+        const distance = Math.sqrt(toX * toX + toY * toY);
+        if (distance <= targetBodyRadius) return true;
+
+        let angleOff = Math.atan2(toY, toX) - facing;
+        angleOff = Math.atan2(Math.sin(angleOff), Math.cos(angleOff)); // Wrap to [-PI, PI]
+        const halfArc = (arcDegrees / 2) * Math.PI / 180;
+        return Math.abs(angleOff) <= halfArc + Math.asin(targetBodyRadius / distance);
+    }
+
     /**
      * (Internal) Processes damage and effects from an attacker to a victim.
      * Modifies victim's state (hp, lives, state) directly.
@@ -96,6 +136,11 @@ class CombatSystem {
      */
     _applyDamageAndEffects(attacker, victim) {
         let eventLog = [];
+        if (this.statusEffects.has(victim, 'invulnerable')) {
+            return eventLog; // e.g. dodge-roll i-frames (see MobilitySystem)
+        }
+        const startX = victim.x;
+        const startY = victim.y;
 
         if (attacker.role === 'gorilla' && victim.role === 'human') {
             const humanBalance = this.balance.human;
@@ -104,7 +149,7 @@ class CombatSystem {
             const nonCritDamage = gorillaBalance.gorilla_nocrit_damage; // Should be 3
             const maxHpForNewLife = humanBalance.health; // Should be 10
 
-            if (Math.random() < critChance) {
+            if (this.rng.next() < critChance) {
                 // Calculate total damage for crit: current HP + HP of all remaining full lives
                 const damageDealt = victim.hp + (victim.lives > 0 ? (victim.lives -1) * maxHpForNewLife : 0);
                 victim.lives = 0;
@@ -115,27 +160,7 @@ class CombatSystem {
                 // eventLog.push(['kill', attacker.id, victim.id, 'gorilla_crit']); // Old format
                 eventLog.push(['kill', attacker.id, victim.id, 'gorilla_crit', victim.nickname, attacker.nickname]);
             } else {
-                victim.hp -= nonCritDamage;
-                // eventLog.push(['hit', attacker.id, victim.id, nonCritDamage, false]); // Old format
-                eventLog.push(['hit', attacker.id, victim.id, nonCritDamage, false, victim.nickname, attacker.nickname]);
-
-                if (victim.hp <= 0) {
-                    victim.lives--;
-                    if (victim.lives > 0) {
-                        victim.hp = maxHpForNewLife; // Reset HP for the new life
-                        if (this.respawnPlayer) {
-                            this.respawnPlayer(victim); // External function to handle respawn logic
-                        }
-                        // eventLog.push(['respawn', victim.id, victim.lives]); // Old format
-                        eventLog.push(['respawn', victim.id, victim.lives, victim.nickname]);
-                    } else {
-                        // No lives left
-                        victim.hp = 0; // Ensure HP is zero
-                        victim.state = DEAD_STATE;
-                        // eventLog.push(['kill', attacker.id, victim.id, 'gorilla_damage']); // Old format
-                        eventLog.push(['kill', attacker.id, victim.id, 'gorilla_damage', victim.nickname, attacker.nickname]);
-                    }
-                }
+                eventLog.push(...this._damageHuman(attacker, victim, nonCritDamage, 'gorilla_damage'));
             }
         } else if (attacker.role === 'human' && victim.role === 'gorilla') {
             const gorillaBalance = this.balance.gorilla;
@@ -144,7 +169,7 @@ class CombatSystem {
             const nonCritDamage = (humanBalance && humanBalance.damage_to_gorilla) || 1; 
             const critChance = gorillaBalance.crit_kill_pct / 100; // Currently 0% in balance.json
 
-            if (Math.random() < critChance) { // This branch is effectively disabled if crit_kill_pct is 0
+            if (this.rng.next() < critChance) { // This branch is effectively disabled if crit_kill_pct is 0
                 const damageDealt = victim.hp; // Gorilla's remaining HP
                 victim.hp = 0;
                 // Gorilla has 1 life, so hp 0 means death.
@@ -166,6 +191,132 @@ class CombatSystem {
                 }
             }
         }
+
+        // Knock the victim away from the attacker (along the attacker's facing if they overlap exactly)
+        if (eventLog.length > 0 && victim.state !== DEAD_STATE && victim.x === startX && victim.y === startY) {
+            const dx = victim.x - attacker.x;
+            const dy = victim.y - attacker.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const facing = attacker.facing || 0;
+            this.applyHitEffects(victim, distance > 0 ? dx / distance : Math.cos(facing), distance > 0 ? dy / distance : Math.sin(facing),
+                this.getHitEffects(attacker.role));
+        }
+        return eventLog;
+    }
+
+    /**
+     * Physical effects of a normal hit from the given role, from its section of balance.json:
+     * `knockback` (distance), `hitstun_ms`, `hit_slow_ms` and `hit_slow_multiplier`.
+     * @param {string} attackerRole
+     * @returns {{knockback:number, hitstunMs:number, slowMs:number, slowMultiplier:number}}
+     */
+    getHitEffects(attackerRole) {
+        const roleConfig = this.balance[attackerRole] || {};
+        return {
+            knockback: roleConfig.knockback || 0,
+            hitstunMs: roleConfig.hitstun_ms || 0,
+            slowMs: roleConfig.hit_slow_ms || 0,
+            slowMultiplier: roleConfig.hit_slow_multiplier || 1
+        };
+    }
+
+    /**
+     * Applies a knockback impulse plus hitstun/slow status effects to a victim.
+     * The impulse is resolved against obstacles over the next few ticks by updateKnockback.
+     * @param {object} victim
+     * @param {number} dirX - Knockback direction (unit vector).
+     * @param {number} dirY
+     * @param {object} effects - { knockback, hitstunMs, slowMs, slowMultiplier } (see getHitEffects).
+     */
+    applyHitEffects(victim, dirX, dirY, effects) {
+        if (effects.knockback > 0) {
+            // An exponentially decaying velocity of v0 travels v0 / damping in total
+            const speed = effects.knockback * KNOCKBACK_DAMPING;
+            this.knockbacks.set(victim.id, { vx: dirX * speed, vy: dirY * speed });
+        }
+        this.statusEffects.apply(victim, 'stun', effects.hitstunMs);
+        this.statusEffects.apply(victim, 'slow', effects.slowMs, effects.slowMultiplier);
+    }
+
+    /**
+     * Moves knocked-back players by one simulation step, stopping them at obstacles and map edges.
+     * @param {number} deltaSeconds - Time elapsed since the last update.
+     * @param {object} context - { players, obstacles, mapWidth, mapHeight }
+     */
+    updateKnockback(deltaSeconds, context) {
+        const decay = Math.exp(-KNOCKBACK_DAMPING * deltaSeconds);
+        for (const [playerId, knockback] of this.knockbacks) {
+            const player = context.players.find(p => p.id === playerId);
+            if (!player || player.state !== 'playing') {
+                this.knockbacks.delete(playerId);
+                continue;
+            }
+            // Exact distance covered by the decaying velocity over this step
+            const speed = Math.sqrt(knockback.vx * knockback.vx + knockback.vy * knockback.vy);
+            const distance = speed * (1 - decay) / KNOCKBACK_DAMPING;
+            const next = resolveMovement(player.x, player.y, player.bodyRadius, knockback.vx / speed, knockback.vy / speed,
+                distance, context.obstacles, context.mapWidth, context.mapHeight);
+            player.x = next.x;
+            player.y = next.y;
+            knockback.vx *= decay;
+            knockback.vy *= decay;
+            if (speed * decay < MIN_KNOCKBACK_SPEED) {
+                this.knockbacks.delete(playerId);
+            }
+        }
+    }
+
+    /**
+     * Forgets any knockback in progress, e.g. when a player leaves or respawns.
+     * @param {string} playerId
+     */
+    clearPlayer(playerId) {
+        this.knockbacks.delete(playerId);
+    }
+
+    /**
+     * Applies fixed, non-crit damage from an ability (e.g. the gorilla's ground slam or charge).
+     * Uses the same hp/lives/respawn rules as a normal hit and returns events in the same format.
+     * Invulnerable (dodging) victims take no damage.
+     * @param {object} attacker - The player using the ability.
+     * @param {object} victim - The player being hit.
+     * @param {number} damage - Damage to deal.
+     * @param {string} killReason - Reason recorded on the 'kill' event if this hit eliminates the victim.
+     * @returns {Array<Array>} Event arrays, empty if the victim can't be damaged.
+     */
+    applyAbilityDamage(attacker, victim, damage, killReason) {
+        if (!attacker || !victim || victim.state === DEAD_STATE || victim.role !== 'human' || this.statusEffects.has(victim, 'invulnerable')) {
+            return [];
+        }
+        return this._damageHuman(attacker, victim, damage, killReason);
+    }
+
+    /**
+     * (Internal) Deals damage to a human, rolling over to their next life (respawn) or
+     * eliminating them when they are out of lives.
+     */
+    _damageHuman(attacker, victim, damage, killReason) {
+        const eventLog = [];
+        const maxHpForNewLife = this.balance.human.health; // Should be 10
+
+        victim.hp -= damage;
+        eventLog.push(['hit', attacker.id, victim.id, damage, false, victim.nickname, attacker.nickname]);
+
+        if (victim.hp <= 0) {
+            victim.lives--;
+            if (victim.lives > 0) {
+                victim.hp = maxHpForNewLife; // Reset HP for the new life
+                if (this.respawnPlayer) {
+                    this.respawnPlayer(victim); // External function to handle respawn logic
+                }
+                eventLog.push(['respawn', victim.id, victim.lives, victim.nickname]);
+            } else {
+                // No lives left
+                victim.hp = 0; // Ensure HP is zero
+                victim.state = DEAD_STATE;
+                eventLog.push(['kill', attacker.id, victim.id, killReason, victim.nickname, attacker.nickname]);
+            }
+        }
         return eventLog;
     }
 }
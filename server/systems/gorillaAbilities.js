@@ -0,0 +1,181 @@
+// server/systems/gorillaAbilities.js
+const { resolveMovement } = require('../utils/collision');
+
+const DEAD_STATE = 'dead';
+const CHARGE_STEP_DISTANCE = 0.5; // Charges advance in small steps so they can't tunnel through obstacles or humans
+
+// Abilities the gorilla can use. Each reads `<key>_stamina_cost`, `<key>_cooldown_ms`,
+// `<key>_range`, `<key>_damage` and `<key>_knockback` from the gorilla section of balance.json.
+const ABILITY_KEYS = ['ground_slam', 'charge'];
+
+class GorillaAbilitySystem {
+    /**
+     * @param {object} balanceConfig - The game's balance configuration.
+     * @param {StaminaSystem} staminaSystem - Used to pay each ability's stamina cost.
+     * @param {CombatSystem} combatSystem - Used to apply ability damage (hp, lives, respawns).
+     */
+    constructor(balanceConfig, staminaSystem, combatSystem) {
+        this.balance = balanceConfig;
+        this.staminaSystem = staminaSystem;
+        this.combatSystem = combatSystem;
+        this.lastUsed = new Map(); // playerId -> { [abilityKey]: time last used }
+        this.activeCharges = new Map(); // playerId -> { dirX, dirY, remaining, hitIds }
+    }
+
+    /**
+     * Returns an ability's tuning values from balance.json.
+     * @param {string} abilityKey - One of ABILITY_KEYS.
+     */
+    getAbilityConfig(abilityKey) {
+        const gorillaBalance = this.balance.gorilla;
+        return {
+            staminaCost: gorillaBalance[`${abilityKey}_stamina_cost`],
+            cooldownMs: gorillaBalance[`${abilityKey}_cooldown_ms`],
+            range: gorillaBalance[`${abilityKey}_range`],
+            damage: gorillaBalance[`${abilityKey}_damage`],
+            knockback: gorillaBalance[`${abilityKey}_knockback`],
+        };
+    }
+
+    /**
+     * Attempts to use an ability. Fails silently (returns []) if the player isn't a living
+     * gorilla, the ability is unknown or on cooldown, or there isn't enough stamina.
+     * @param {object} gorilla - The player using the ability.
+     * @param {string} abilityKey - One of ABILITY_KEYS.
+     * @param {object} action - The input message; charges read a direction from `dx`/`dy`.
+     * @param {object} context - { players, obstacles, mapWidth, mapHeight, now }
+     * @returns {Array<Array>} Event arrays (['ability', ...] plus any hit/kill/respawn events).
+     */
+    useAbility(gorilla, abilityKey, action, context) {
+        if (!gorilla || gorilla.role !== 'gorilla' || gorilla.state === DEAD_STATE) return [];
+        if (!ABILITY_KEYS.includes(abilityKey)) return [];
+        if (this.activeCharges.has(gorilla.id)) return []; // Committed to the current charge
+
+        const config = this.getAbilityConfig(abilityKey);
+        const usedTimes = this.lastUsed.get(gorilla.id) || {};
+        if (usedTimes[abilityKey] !== undefined && context.now - usedTimes[abilityKey] < config.cooldownMs) return [];
+
+        let dirX = 0;
+        let dirY = 0;
+        if (abilityKey === 'charge') {
+            // Charge where the client aims, else where the gorilla is already heading
+            const aimX = Number.isFinite(action.dx) ? action.dx : gorilla.inputDx;
+            const aimY = Number.isFinite(action.dy) ? action.dy : gorilla.inputDy;
+            const length = Math.sqrt(aimX * aimX + aimY * aimY);
+            if (!length) return []; // No direction to charge in
+            dirX = aimX / length;
+            dirY = aimY / length;
+        }
+
+        if (!this.staminaSystem.consumeStamina(gorilla, config.staminaCost)) return [];
+        usedTimes[abilityKey] = context.now;
+        this.lastUsed.set(gorilla.id, usedTimes);
+
+        const events = [['ability', gorilla.id, abilityKey, gorilla.x, gorilla.y, dirX, dirY, config.range, gorilla.nickname]];
+        if (abilityKey === 'ground_slam') {
+            events.push(...this._groundSlam(gorilla, config, context));
+        } else {
+            this.activeCharges.set(gorilla.id, { dirX, dirY, remaining: config.range, hitIds: new Set() });
+        }
+        return events;
+    }
+
+    /**
+     * Advances every active charge by one simulation step.
+     * @param {number} deltaSeconds - Time elapsed since the last update.
+     * @param {object} context - { players, obstacles, mapWidth, mapHeight, now }
+     * @returns {Array<Array>} hit/kill/respawn event arrays caused by charges this step.
+     */
+    updateCharges(deltaSeconds, context) {
+        const events = [];
+        const chargeConfig = this.getAbilityConfig('charge');
+        const chargeSpeed = this.balance.gorilla.charge_speed;
+
+        for (const [playerId, charge] of this.activeCharges) {
+            const gorilla = context.players.find(p => p.id === playerId);
+            if (!gorilla || gorilla.state !== 'playing') {
+                this.activeCharges.delete(playerId);
+                continue;
+            }
+
+            let budget = Math.min(chargeSpeed * deltaSeconds, charge.remaining);
+            while (budget > 0 && charge.remaining > 0) {
+                const step = Math.min(CHARGE_STEP_DISTANCE, budget);
+                const next = resolveMovement(gorilla.x, gorilla.y, gorilla.bodyRadius, charge.dirX, charge.dirY, step,
+                    context.obstacles, context.mapWidth, context.mapHeight);
+                const moved = Math.hypot(next.x - gorilla.x, next.y - gorilla.y);
+                gorilla.x = next.x;
+                gorilla.y = next.y;
+                budget -= step;
+                charge.remaining -= step;
+
+                for (const target of context.players) {
+                    if (target.role !== 'human' || target.state !== 'playing' || charge.hitIds.has(target.id)) continue;
+                    if (Math.hypot(target.x - gorilla.x, target.y - gorilla.y) > gorilla.bodyRadius + target.bodyRadius) continue;
+                    charge.hitIds.add(target.id);
+                    // Knock humans off to the side of the charge's path
+                    const side = (target.x - gorilla.x) * -charge.dirY + (target.y - gorilla.y) * charge.dirX >= 0 ? 1 : -1;
+                    events.push(...this._hitWithKnockback(gorilla, target, chargeConfig, 'gorilla_charge',
+                        -charge.dirY * side, charge.dirX * side));
+                }
+
+                if (moved < step * 0.99) { // Hit an obstacle or the map edge: the charge ends here
+                    charge.remaining = 0;
+                }
+            }
+            if (charge.remaining <= 0) {
+                this.activeCharges.delete(playerId);
+            }
+        }
+        return events;
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {boolean} True while the player is mid-charge (normal movement is suspended).
+     */
+    isCharging(playerId) {
+        return this.activeCharges.has(playerId);
+    }
+
+    /**
+     * Forgets cooldowns and any active charge, e.g. when a player leaves or a round starts.
+     * @param {string} playerId
+     */
+    clearPlayer(playerId) {
+        this.lastUsed.delete(playerId);
+        this.activeCharges.delete(playerId);
+    }
+
+    _groundSlam(gorilla, config, context) {
+        const events = [];
+        for (const target of context.players) {
+            if (target.role !== 'human' || target.state !== 'playing') continue;
+            const dx = target.x - gorilla.x;
+            const dy = target.y - gorilla.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > config.range + target.bodyRadius) continue;
+            // Push straight away from the gorilla (any direction if standing dead center)
+            const awayX = distance > 0 ? dx / distance : 1;
+            const awayY = distance > 0 ? dy / distance : 0;
+            events.push(...this._hitWithKnockback(gorilla, target, config, 'gorilla_slam', awayX, awayY));
+        }
+        return events;
+    }
+
+    _hitWithKnockback(gorilla, target, config, killReason, dirX, dirY) {
+        const startX = target.x;
+        const startY = target.y;
+        const events = this.combatSystem.applyAbilityDamage(gorilla, target, config.damage, killReason);
+        // Only shove targets that were actually hit and are still standing where they were (not respawned or eliminated)
+        if (events.length > 0 && target.state === 'playing' && target.x === startX && target.y === startY) {
+            this.combatSystem.applyHitEffects(target, dirX, dirY, {
+                ...this.combatSystem.getHitEffects(gorilla.role),
+                knockback: config.knockback
+            });
+        }
+        return events;
+    }
+}
+
+module.exports = GorillaAbilitySystem;
@@ -0,0 +1,80 @@
+// server/systems/lagCompensation.js
+
+const DEFAULT_MAX_REWIND_MS = 250; // Never rewind further than this, however laggy the attacker is
+
+class LagCompensationSystem {
+    /**
+     * Keeps a short ring buffer of past positions per player so hit detection can be
+     * evaluated against where targets were when the attacker saw them.
+     * @param {number} maxRewindMs - The furthest back in time an attack may be rewound.
+     */
+    constructor(maxRewindMs = DEFAULT_MAX_REWIND_MS) {
+        this.maxRewindMs = maxRewindMs;
+        this.history = new Map(); // playerId -> [{ time, x, y }], oldest first
+    }
+
+    /**
+     * Records the current position of every player. Call once per simulation tick, after movement.
+     * @param {Iterable<object>} players - Player objects with `id`, `x` and `y`.
+     * @param {number} currentTime - The current server time (room.clock.currentTime).
+     */
+    recordPositions(players, currentTime) {
+        for (const player of players) {
+            let samples = this.history.get(player.id);
+            if (!samples) {
+                samples = [];
+                this.history.set(player.id, samples);
+            }
+            samples.push({ time: currentTime, x: player.x, y: player.y });
+            // Keep one sample older than the window so the oldest allowed time can still be interpolated
+            while (samples.length > 2 && currentTime - samples[1].time > this.maxRewindMs) {
+                samples.shift();
+            }
+        }
+    }
+
+    /**
+     * Clamps a client-reported server time into the allowed rewind window.
+     * Missing or invalid times mean "no rewind".
+     * @param {number|undefined} requestedTime - The server time the client saw when attacking.
+     * @param {number} currentTime - The current server time.
+     * @returns {number} The time to rewind targets to.
+     */
+    clampRewindTime(requestedTime, currentTime) {
+        if (!Number.isFinite(requestedTime)) return currentTime;
+        return Math.max(currentTime - this.maxRewindMs, Math.min(currentTime, requestedTime));
+    }
+
+    /**
+     * Returns a player's position at the given time, interpolated between recorded samples.
+     * @param {string} playerId
+     * @param {number} time - Server time to look up.
+     * @returns {{x:number, y:number}|null} The position, or null if nothing is recorded.
+     */
+    getPositionAt(playerId, time) {
+        const samples = this.history.get(playerId);
+        if (!samples || samples.length === 0) return null;
+        if (time <= samples[0].time) return { x: samples[0].x, y: samples[0].y };
+
+        for (let i = samples.length - 1; i > 0; i--) {
+            const older = samples[i - 1];
+            const newer = samples[i];
+            if (time >= older.time) {
+                if (time >= newer.time) return { x: newer.x, y: newer.y };
+                const t = (time - older.time) / (newer.time - older.time);
+                return { x: older.x + (newer.x - older.x) * t, y: older.y + (newer.y - older.y) * t };
+            }
+        }
+        return { x: samples[0].x, y: samples[0].y };
+    }
+
+    /**
+     * Forgets a player's history, e.g. when they leave or respawn (so we never rewind across a teleport).
+     * @param {string} playerId
+     */
+    clearPlayer(playerId) {
+        this.history.delete(playerId);
+    }
+}
+
+module.exports = LagCompensationSystem;
@@ -0,0 +1,141 @@
+// server/systems/matchStats.js
+
+// Per-player statistics for the current round, built from the same event arrays that
+// MatchRoom.pushCombatEvents turns into GameEvents (see CombatSystem for their formats).
+class MatchStatsSystem {
+    constructor() {
+        this.stats = new Map(); // playerId -> stats entry (kept after a player leaves, for the scoreboard)
+    }
+
+    /**
+     * Forgets the previous round and starts tracking everyone in the room.
+     * @param {Iterable<object>} players - Players (and bots) present when the round starts.
+     */
+    startRound(players) {
+        this.stats.clear();
+        for (const player of players) {
+            this.trackPlayer(player);
+        }
+    }
+
+    /**
+     * Starts tracking a player if they aren't already (e.g. someone joining mid-round).
+     * @param {object} player
+     */
+    trackPlayer(player) {
+        if (this.stats.has(player.id)) return;
+        this.stats.set(player.id, {
+            id: player.id,
+            nickname: player.nickname,
+            role: player.role,
+            isBot: player.isBot,
+            profileId: player.profileId || null, // Bots and players without a stored profile have none
+            startLives: player.lives,
+            finalLives: null, // Set when the player leaves; otherwise read from the live player
+            left: false,
+            damageDealt: 0,
+            damageTaken: 0,
+            hitsLanded: 0,
+            punchesThrown: 0,
+            kills: 0,
+            crits: 0,
+            timeAlive: 0 // Seconds spent in the "playing" state
+        });
+    }
+
+    /**
+     * Tallies a batch of event arrays, e.g. ['hit', attackerId, victimId, damage, isCrit, ...].
+     * @param {Array<Array>} eventsData
+     */
+    recordEvents(eventsData) {
+        for (const eventData of eventsData) {
+            switch (eventData[0]) {
+                case 'swing': { // ['swing', playerId, ...]
+                    const attacker = this.stats.get(eventData[1]);
+                    if (attacker) attacker.punchesThrown++;
+                    break;
+                }
+                case 'hit': { // ['hit', attackerId, victimId, damage, isCrit, ...]
+                    const attacker = this.stats.get(eventData[1]);
+                    const victim = this.stats.get(eventData[2]);
+                    if (attacker) {
+                        attacker.damageDealt += eventData[3];
+                        attacker.hitsLanded++;
+                        if (eventData[4]) attacker.crits++;
+                    }
+                    if (victim) victim.damageTaken += eventData[3];
+                    break;
+                }
+                case 'kill': { // ['kill', killerId, victimId, ...]
+                    const killer = this.stats.get(eventData[1]);
+                    if (killer) killer.kills++;
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Accumulates time alive. Call once per round tick; also picks up players added since the last tick.
+     * @param {Iterable<object>} players
+     * @param {number} deltaSeconds
+     */
+    update(players, deltaSeconds) {
+        for (const player of players) {
+            this.trackPlayer(player);
+            if (player.state === 'playing') {
+                this.stats.get(player.id).timeAlive += deltaSeconds;
+            }
+        }
+    }
+
+    /**
+     * Freezes a leaving player's stats so they still appear on the scoreboard.
+     * @param {object} player
+     */
+    recordLeave(player) {
+        const entry = this.stats.get(player.id);
+        if (!entry) return;
+        entry.left = true;
+        entry.finalLives = this._remainingLives(player);
+    }
+
+    /**
+     * Builds the scoreboard sent with "game_over": most kills first, then most damage dealt,
+     * then longest time alive.
+     * @param {Map<string, object>} players - The room's current players, for lives left.
+     * @returns {Array<object>} One plain object per tracked player.
+     */
+    getScoreboard(players) {
+        const scoreboard = [];
+        this.stats.forEach(entry => {
+            const player = players.get(entry.id);
+            const remainingLives = entry.left || !player ? entry.finalLives || 0 : this._remainingLives(player);
+            scoreboard.push({
+                id: entry.id,
+                nickname: entry.nickname,
+                role: entry.role,
+                isBot: entry.isBot,
+                profileId: entry.profileId,
+                left: entry.left,
+                damageDealt: entry.damageDealt,
+                damageTaken: entry.damageTaken,
+                hitsLanded: entry.hitsLanded,
+                punchesThrown: entry.punchesThrown,
+                kills: entry.kills,
+                livesLost: Math.max(0, entry.startLives - remainingLives),
+                timeAlive: Math.round(entry.timeAlive),
+                crits: entry.crits
+            });
+        });
+        return scoreboard.sort((a, b) =>
+            b.kills - a.kills || b.damageDealt - a.damageDealt || b.timeAlive - a.timeAlive);
+    }
+
+    // The gorilla keeps its single life when it dies (only its state changes), so count a death as losing it
+    _remainingLives(player) {
+        return player.state === 'dead' ? 0 : player.lives;
+    }
+}
+
+module.exports = MatchStatsSystem;
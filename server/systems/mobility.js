@@ -0,0 +1,124 @@
+// server/systems/mobility.js
+const { resolveMovement } = require('../utils/collision');
+
+// Sprint and dodge-roll movement for any role. Each role's section of balance.json configures:
+//   sprint_stamina_per_sec, sprint_speed_multiplier                       (hold to sprint)
+//   dodge_stamina_cost, dodge_cooldown_ms, dodge_distance,
+//   dodge_duration_ms, dodge_iframes_ms                                    (dodge roll)
+// A role without these keys simply can't sprint or dodge.
+class MobilitySystem {
+    /**
+     * @param {object} balanceConfig - The game's balance configuration.
+     * @param {StaminaSystem} staminaSystem - Used to pay for dodges.
+     * @param {StatusEffectSystem} statusEffectSystem - Grants dodge i-frames and provides slows.
+     */
+    constructor(balanceConfig, staminaSystem, statusEffectSystem) {
+        this.balance = balanceConfig;
+        this.staminaSystem = staminaSystem;
+        this.statusEffects = statusEffectSystem;
+        this.lastDodge = new Map(); // playerId -> time the last dodge started
+        this.activeDodges = new Map(); // playerId -> { dirX, dirY, speed, remaining }
+    }
+
+    /**
+     * Starts a dodge roll. Fails silently (returns false) if the player is dead, already rolling,
+     * on cooldown, has no direction to roll in, or can't pay the stamina cost.
+     * The player gets the "invulnerable" status effect for `dodge_iframes_ms`.
+     * @param {object} player - The player dodging.
+     * @param {object} action - The input message; reads a direction from `dx`/`dy`, else uses movement intent.
+     * @param {number} now - The current server time.
+     * @returns {boolean} True if the dodge started.
+     */
+    startDodge(player, action, now) {
+        if (!player || player.state !== 'playing' || this.activeDodges.has(player.id)) return false;
+        const roleConfig = this.balance[player.role];
+        if (!roleConfig || typeof roleConfig.dodge_stamina_cost !== 'number') return false;
+
+        const lastDodgeTime = this.lastDodge.get(player.id);
+        if (lastDodgeTime !== undefined && now - lastDodgeTime < roleConfig.dodge_cooldown_ms) return false;
+
+        // Roll where the client aims, else where the player is already heading
+        const aimX = Number.isFinite(action.dx) ? action.dx : player.inputDx;
+        const aimY = Number.isFinite(action.dy) ? action.dy : player.inputDy;
+        const length = Math.sqrt(aimX * aimX + aimY * aimY);
+        if (!length) return false;
+
+        if (!this.staminaSystem.consumeStamina(player, roleConfig.dodge_stamina_cost)) return false;
+        this.lastDodge.set(player.id, now);
+        this.activeDodges.set(player.id, {
+            dirX: aimX / length,
+            dirY: aimY / length,
+            speed: roleConfig.dodge_distance / (roleConfig.dodge_duration_ms / 1000),
+            remaining: roleConfig.dodge_distance
+        });
+        this.statusEffects.apply(player, 'invulnerable', roleConfig.dodge_iframes_ms);
+        return true;
+    }
+
+    /**
+     * Advances sprinting and dodge rolls by one simulation step and sets each player's moveSpeed
+     * (move_speed x sprint multiplier x slow). Call before movement.
+     * Sprinting (player.sprintHeld while moving) drains stamina and raises moveSpeed until
+     * stamina runs out; sprinting players don't regenerate stamina (see player.isSprinting).
+     * @param {number} deltaSeconds - Time elapsed since the last update.
+     * @param {object} context - { players, obstacles, mapWidth, mapHeight, now }
+     */
+    update(deltaSeconds, context) {
+        for (const player of context.players) {
+            const roleConfig = this.balance[player.role];
+            if (!roleConfig) continue;
+
+            this._updateSprint(player, roleConfig, deltaSeconds);
+
+            const dodge = this.activeDodges.get(player.id);
+            if (dodge) {
+                if (player.state !== 'playing') {
+                    this.activeDodges.delete(player.id);
+                } else {
+                    const distance = Math.min(dodge.speed * deltaSeconds, dodge.remaining);
+                    const next = resolveMovement(player.x, player.y, player.bodyRadius, dodge.dirX, dodge.dirY, distance,
+                        context.obstacles, context.mapWidth, context.mapHeight);
+                    player.x = next.x;
+                    player.y = next.y;
+                    dodge.remaining -= distance;
+                    if (dodge.remaining <= 0) this.activeDodges.delete(player.id);
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {string} playerId
+     * @returns {boolean} True while the player is mid-roll (normal movement is suspended).
+     */
+    isDodging(playerId) {
+        return this.activeDodges.has(playerId);
+    }
+
+    /**
+     * Forgets cooldowns and any active roll, e.g. when a player leaves or respawns.
+     * The caller resets the player's own sprint fields and status effects.
+     * @param {string} playerId
+     */
+    clearPlayer(playerId) {
+        this.lastDodge.delete(playerId);
+        this.activeDodges.delete(playerId);
+    }
+
+    _updateSprint(player, roleConfig, deltaSeconds) {
+        const moving = player.inputDx !== 0 || player.inputDy !== 0;
+        const canSprint = typeof roleConfig.sprint_stamina_per_sec === 'number' && player.state === 'playing';
+        // Holding sprint while moving counts as sprinting (no regen) even when exhausted,
+        // so sprint has to be released to recover
+        player.isSprinting = canSprint && !!player.sprintHeld && moving;
+        let boosted = false;
+        if (player.isSprinting && player.st > 0) {
+            player.st = Math.max(0, player.st - roleConfig.sprint_stamina_per_sec * deltaSeconds);
+            boosted = true;
+        }
+        const baseSpeed = boosted ? roleConfig.move_speed * roleConfig.sprint_speed_multiplier : roleConfig.move_speed;
+        player.moveSpeed = baseSpeed * this.statusEffects.getSpeedMultiplier(player);
+    }
+}
+
+module.exports = MobilitySystem;
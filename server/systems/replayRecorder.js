@@ -0,0 +1,184 @@
+// server/systems/replayRecorder.js
+const { saveReplay } = require('../utils/replayStore');
+
+const REPLAY_FORMAT_VERSION = 1;
+const POSITION_PRECISION = 100; // Positions and angles are rounded to 2 decimals to keep files small
+
+/**
+ * Replay file format (server/replays/<id>.json.gz), all times in ms since the round started:
+ * {
+ *   "version": 1, "id": "...", "roomId": "...", "recordedAt": "<ISO date>",
+ *   "seed": 123,                                  // Round seed (see utils/rng.js)
+ *   "map": { "id", "name", "width", "height", "obstacles": [...] },
+ *   "players": { "<id>": { "nickname", "role", "isBot", "maxHp", "maxStamina" } },
+ *   "roster": [[t, "join" | "leave", playerId], ...],
+ *   "inputs": [[t, playerId, action], ...],      // Every action handled in the round, bots included
+ *   "snapshots": [[t, [[id, x, y, hp, lives, st, state, facing, [[effectType, expiresAt, magnitude]]], ...], [event, ...]], ...],
+ *   "result": "gorilla_wins", "durationMs": 123456
+ * }
+ * Seed, map and inputs are enough to re-simulate a round on the server; snapshots (one per
+ * tick, with the GameEvents raised since the previous one) drive the client's replay viewer.
+ */
+class ReplayRecorder {
+    constructor() {
+        this.replay = null; // The round being recorded, null between rounds
+        this.startTime = 0;
+        this.recordedEventIds = new Set();
+    }
+
+    /**
+     * @returns {boolean} True while a round is being recorded.
+     */
+    isRecording() {
+        return this.replay !== null;
+    }
+
+    /**
+     * @returns {string|null} Id of the replay being recorded, null between rounds.
+     */
+    getReplayId() {
+        return this.replay ? this.replay.id : null;
+    }
+
+    /**
+     * Starts recording a round. Players already in the room are recorded as joining at t=0.
+     * @param {object} round
+     * @param {string} round.roomId
+     * @param {number} round.seed - The round's PRNG seed.
+     * @param {object} round.mapData - The loaded map (see utils/mapLoader.js).
+     * @param {Iterable<object>} round.players - Players in the room when the round starts.
+     * @param {number} round.now - The current server time.
+     */
+    startRound({ roomId, seed, mapData, players, now }) {
+        const recordedAt = new Date();
+        this.startTime = now;
+        this.recordedEventIds.clear();
+        this.replay = {
+            version: REPLAY_FORMAT_VERSION,
+            id: `${recordedAt.getTime()}-${roomId}`,
+            roomId,
+            recordedAt: recordedAt.toISOString(),
+            seed,
+            map: {
+                id: mapData.id,
+                name: mapData.metadata.name,
+                width: mapData.width,
+                height: mapData.height,
+                obstacles: mapData.obstacles
+            },
+            players: {},
+            roster: [],
+            inputs: [],
+            snapshots: [],
+            result: null,
+            durationMs: 0
+        };
+        for (const player of players) {
+            this.recordJoin(player, now);
+        }
+    }
+
+    /**
+     * Records a player (or bot) joining mid-round, or present when it started.
+     * @param {object} player
+     * @param {number} now - The current server time.
+     */
+    recordJoin(player, now) {
+        if (!this.replay) return;
+        this.replay.players[player.id] = {
+            nickname: player.nickname,
+            role: player.role,
+            isBot: player.isBot,
+            maxHp: player.maxHp,
+            maxStamina: player.maxStamina
+        };
+        this.replay.roster.push([this._time(now), 'join', player.id]);
+    }
+
+    /**
+     * @param {string} playerId
+     * @param {number} now - The current server time.
+     */
+    recordLeave(playerId, now) {
+        if (!this.replay) return;
+        this.replay.roster.push([this._time(now), 'leave', playerId]);
+    }
+
+    /**
+     * Records an input exactly as MatchRoom.handlePlayerInput received it.
+     * @param {string} playerId
+     * @param {object} action - e.g. { t: "i", dx, dy, seq } or { t: "a", ts, angle }.
+     * @param {number} now - The current server time.
+     */
+    recordInput(playerId, action, now) {
+        if (!this.replay) return;
+        this.replay.inputs.push([this._time(now), playerId, action]);
+    }
+
+    /**
+     * Records every player's state plus the events raised since the last snapshot. Call once per tick.
+     * @param {Iterable<object>} players
+     * @param {Iterable<object>} events - The room's GameEvents (already-recorded ones are skipped).
+     * @param {number} now - The current server time.
+     */
+    recordSnapshot(players, events, now) {
+        if (!this.replay) return;
+        const playerStates = [];
+        for (const p of players) {
+            const effects = [];
+            if (p.statusEffects) {
+                p.statusEffects.forEach(effect => effects.push([effect.type, this._time(effect.expiresAt), effect.magnitude]));
+            }
+            playerStates.push([p.id, this._round(p.x), this._round(p.y), p.hp, p.lives, this._round(p.st), p.state,
+                this._round(p.facing), effects]);
+        }
+
+        const newEvents = [];
+        for (const event of events) {
+            if (!event || this.recordedEventIds.has(event.id)) continue;
+            this.recordedEventIds.add(event.id);
+            newEvents.push(this._compactEvent(event));
+        }
+        this.replay.snapshots.push([this._time(now), playerStates, newEvents]);
+    }
+
+    /**
+     * Stops recording and writes the replay to disk in the background.
+     * @param {string} result - How the round ended, e.g. "gorilla_wins" or "aborted".
+     * @param {number} now - The current server time.
+     * @returns {Promise<string>|null} Resolves to the replay id once saved; null if nothing was recording.
+     */
+    finishRound(result, now) {
+        if (!this.replay) return null;
+        const replay = this.replay;
+        replay.result = result;
+        replay.durationMs = this._time(now);
+        this.replay = null;
+        this.recordedEventIds.clear();
+        return saveReplay(replay).then(() => {
+            console.log(`Replay saved: ${replay.id}`);
+            return replay.id;
+        });
+    }
+
+    _time(serverTime) {
+        return Math.round(serverTime - this.startTime);
+    }
+
+    _round(value) {
+        return Math.round(value * POSITION_PRECISION) / POSITION_PRECISION;
+    }
+
+    // GameEvent as a plain object without its id or unset fields, with a round-relative timestamp
+    _compactEvent(event) {
+        const compact = {};
+        for (const [key, value] of Object.entries(event.toJSON())) {
+            if (key === 'id' || key === 'ts' || value === '' || value === 0 || value === null || value === undefined) continue;
+            compact[key] = value;
+        }
+        compact.ts = this._time(event.ts);
+        return compact;
+    }
+}
+
+module.exports = ReplayRecorder;
@@ -0,0 +1,99 @@
+// server/systems/spawn.js
+const { collidesWithObstacle } = require('../utils/collision');
+
+const SPAWN_ATTEMPTS_PER_PASS = 30;
+const PLAYER_SPAWN_PADDING = 1; // Extra gap kept between a new spawn and other players' bodies
+const MIN_GORILLA_SPAWN_DISTANCE = 25; // Humans shouldn't (re)spawn right next to the gorilla
+
+class SpawnSystem {
+    /**
+     * @param {object} room - Reference to the Colyseus Room instance.
+     *                        Reads room.state (players, mapObstacles, map size, gorillaPlayerId)
+     *                        and room.mapData.spawnZones from the loaded map.
+     * @param {SeededRandom} rng - The room's seeded PRNG, so spawns are reproducible from the round seed.
+     */
+    constructor(room, rng) {
+        this.room = room;
+        this.rng = rng;
+    }
+
+    /**
+     * Finds a spawn position for a body of the given role and radius.
+     * Positions are always inside the map and clear of obstacles. Within that, the map's
+     * spawn zones for the role are preferred, then positions clear of other players and
+     * (for humans) far enough from the gorilla; if nothing satisfies everything, the best
+     * candidate found is used.
+     * @param {string} role - "human" or "gorilla"; selects the map's spawn zones.
+     * @param {number} bodyRadius - The spawning body's radius.
+     * @param {object} [options]
+     * @param {string} [options.excludeId] - Player being spawned, ignored when checking overlap.
+     * @param {boolean} [options.avoidGorilla] - Keep MIN_GORILLA_SPAWN_DISTANCE from the gorilla.
+     * @returns {{x:number, y:number}}
+     */
+    getSpawnPosition(role, bodyRadius, options = {}) {
+        const { excludeId = null, avoidGorilla = role === 'human' } = options;
+        const state = this.room.state;
+        const mapZone = { x: 0, y: 0, width: state.mapWidth, height: state.mapHeight };
+        const roleZones = (this.room.mapData && this.room.mapData.spawnZones && this.room.mapData.spawnZones[role]) || [];
+
+        const others = [];
+        let gorilla = null;
+        state.players.forEach(p => {
+            if (p.id === excludeId || p.state !== 'playing') return;
+            others.push(p);
+            if (p.id === state.gorillaPlayerId) gorilla = p;
+        });
+
+        let best = null;
+        let bestScore = -Infinity;
+        // First pass: the role's spawn zones. Second pass: anywhere on the map.
+        for (const zones of [roleZones, [mapZone]]) {
+            if (zones.length === 0) continue;
+            for (let attempt = 0; attempt < SPAWN_ATTEMPTS_PER_PASS; attempt++) {
+                const zone = this.rng.pick(zones);
+                const candidate = this._randomPointInZone(zone, bodyRadius, mapZone);
+                if (this._isBlocked(candidate, bodyRadius)) continue;
+
+                // Score is how much room we have to spare; >= 0 means every soft rule holds
+                let score = Infinity;
+                for (const other of others) {
+                    const gap = Math.hypot(candidate.x - other.x, candidate.y - other.y) - (bodyRadius + other.bodyRadius + PLAYER_SPAWN_PADDING);
+                    score = Math.min(score, gap);
+                }
+                if (avoidGorilla && gorilla) {
+                    score = Math.min(score, Math.hypot(candidate.x - gorilla.x, candidate.y - gorilla.y) - MIN_GORILLA_SPAWN_DISTANCE);
+                }
+                if (score >= 0) return candidate;
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = candidate;
+                }
+            }
+        }
+
+        if (best) return best;
+        console.warn(`SpawnSystem: No obstacle-free spawn found for ${role} (radius ${bodyRadius}), using map center.`);
+        return { x: state.mapWidth / 2, y: state.mapHeight / 2 };
+    }
+
+    _randomPointInZone(zone, bodyRadius, mapZone) {
+        // Keep the whole body inside both the zone and the map
+        const minX = Math.max(zone.x + bodyRadius, bodyRadius);
+        const maxX = Math.min(zone.x + zone.width - bodyRadius, mapZone.width - bodyRadius);
+        const minY = Math.max(zone.y + bodyRadius, bodyRadius);
+        const maxY = Math.min(zone.y + zone.height - bodyRadius, mapZone.height - bodyRadius);
+        return {
+            x: maxX > minX ? minX + this.rng.next() * (maxX - minX) : (minX + maxX) / 2,
+            y: maxY > minY ? minY + this.rng.next() * (maxY - minY) : (minY + maxY) / 2
+        };
+    }
+
+    _isBlocked(position, bodyRadius) {
+        for (const obs of this.room.state.mapObstacles) {
+            if (collidesWithObstacle(position.x, position.y, bodyRadius, obs)) return true;
+        }
+        return false;
+    }
+}
+
+module.exports = SpawnSystem;
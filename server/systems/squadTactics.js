@@ -0,0 +1,267 @@
+// server/systems/squadTactics.js
+const { hasLineOfSight, isWalkable } = require('../utils/navGrid');
+
+// Squad coordinator for the human bots, run before AIBotSystem.updateBots so they fight as a team
+// instead of each rushing the gorilla. Every SQUAD_UPDATE_INTERVAL_MS each bot gets one order:
+//   baiter:  goes straight at the gorilla to hold its attention. Not needed while a real player is
+//            already fighting it; that player is the bait.
+//   flanker: takes a slot on a ring around the gorilla, spread evenly from the baiter and any real
+//            players fighting it, and goes in once it is behind the gorilla, the gorilla's punch is
+//            recharging, or every flanker is in place.
+//   reserve: waits outside the gorilla's reach, next to a real player if one is near, until an
+//            attacker drops out.
+//   retreat: hides behind an obstacle, out of the gorilla's sight, while low on stamina, or while
+//            wounded if enough healthy bots are left to attack.
+const SQUAD_UPDATE_INTERVAL_MS = 500;
+const MAX_FLANKERS = 3; // With the baiter, at most this many + 1 bots attack at once
+const MIN_ATTACKERS = 2; // Wounded bots stay in the fight rather than leave fewer attackers than this
+const SURROUND_MARGIN = 3; // Flanker slots are this far outside the gorilla's reach
+const SLOT_REACHED_DISTANCE = 3;
+const FLANK_ANGLE = Math.PI / 2; // A flanker at least this far off the gorilla's facing is behind it
+const RESERVE_MARGIN = 6; // Reserves wait this far outside the gorilla's reach
+const RETREAT_STAMINA_FRACTION = 0.3; // Bots retreat below this share of their stamina...
+const RETURN_STAMINA_FRACTION = 0.9; // ...and come back at this share
+const ENGAGED_DISTANCE = 12; // Real players this close to the gorilla count as fighting it
+const GROUP_DISTANCE = 25; // Reserves wait by a real player this close to them
+const GROUP_OFFSET = 3; // ...this far behind them, away from the gorilla
+const COVER_GAP = 1; // Room between a cover point and its obstacle, beyond the bot's body radius
+const COVER_SPACING = 4; // Distance between cover points around an obstacle
+const MIN_COVER_DISTANCE = 8; // Cover this close to the gorilla isn't worth hiding behind
+const ATTACK_PRIORITY = { tank: 0, brawler: 1, kiter: 1, support: 2 }; // Lower goes in first
+
+// Points around one obstacle, `offset` out from its edge, where a body could take cover
+function coverPointsAround(obstacle, offset) {
+    const points = [];
+    if (obstacle.type === 'circle') {
+        const radius = obstacle.radius + offset;
+        const count = Math.max(8, Math.ceil(2 * Math.PI * radius / COVER_SPACING));
+        for (let i = 0; i < count; i++) {
+            const angle = 2 * Math.PI * i / count;
+            points.push({ x: obstacle.x + Math.cos(angle) * radius, y: obstacle.y + Math.sin(angle) * radius });
+        }
+        return points;
+    }
+    const left = obstacle.x - offset;
+    const right = obstacle.x + obstacle.width + offset;
+    const top = obstacle.y - offset;
+    const bottom = obstacle.y + obstacle.height + offset;
+    const stepsX = Math.max(1, Math.ceil((right - left) / COVER_SPACING));
+    const stepsY = Math.max(1, Math.ceil((bottom - top) / COVER_SPACING));
+    for (let i = 0; i <= stepsX; i++) {
+        const x = left + (right - left) * i / stepsX;
+        points.push({ x, y: top }, { x, y: bottom });
+    }
+    for (let i = 1; i < stepsY; i++) { // Corners were added above
+        const y = top + (bottom - top) * i / stepsY;
+        points.push({ x: left, y }, { x: right, y });
+    }
+    return points;
+}
+
+// Smallest difference between two angles, in [0, PI]
+function angleBetween(a, b) {
+    return Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+}
+
+class SquadTacticsSystem {
+    /**
+     * @param {AIBotSystem} aiBotSystem - Supplies each bot's personality and difficulty profile, the
+     *                                    gorilla's reach, and the map's obstacles and navigation grids.
+     * @param {object} balanceConfig - The game's balance configuration.
+     */
+    constructor(aiBotSystem, balanceConfig) {
+        this.aiBotSystem = aiBotSystem;
+        this.balance = balanceConfig;
+        this.orders = new Map(); // botId -> { role, x, y, engage }
+        this.retreating = new Set(); // Bots hiding until their stamina is back
+        this.lastUpdateTime = -Infinity;
+        this.coverPoints = [];
+        this.coverObstacles = null; // The obstacle list coverPoints were found for
+    }
+
+    /**
+     * Works out fresh orders for every bot, at most once per SQUAD_UPDATE_INTERVAL_MS.
+     * @param {Array<object>} activeBots - Living human bots.
+     * @param {object|null} gorilla - The gorilla player.
+     * @param {Array<object>} allHumans - Every human (players and bots).
+     * @param {number} currentTime
+     * @returns {Map<string, {role: string, x: number, y: number, engage: boolean}>} Orders by bot id,
+     *          for AIBotSystem.updateBots. `engage`: go for the gorilla rather than to x/y.
+     */
+    update(activeBots, gorilla, allHumans, currentTime) {
+        if (currentTime - this.lastUpdateTime < SQUAD_UPDATE_INTERVAL_MS) return this.orders;
+        this.lastUpdateTime = currentTime;
+        const previousOrders = this.orders;
+        this.orders = new Map();
+        if (!gorilla || gorilla.state !== 'playing') return this.orders;
+
+        const bots = activeBots.filter(bot => bot.isBot && bot.state === 'playing');
+        const realPlayers = allHumans.filter(h => !h.isBot && h.state === 'playing');
+        const engagedPlayers = realPlayers.filter(h => Math.hypot(h.x - gorilla.x, h.y - gorilla.y) <= ENGAGED_DISTANCE);
+
+        // Tired bots hide; wounded ones too, as long as enough healthy ones are left to attack
+        const fit = [];
+        const wounded = [];
+        for (const bot of bots) {
+            const maxStamina = bot.maxStamina || this.balance.human.stamina;
+            const tired = this.retreating.has(bot.id) ?
+                bot.st < maxStamina * RETURN_STAMINA_FRACTION : bot.st < maxStamina * RETREAT_STAMINA_FRACTION;
+            if (tired) {
+                this.retreating.add(bot.id);
+                this.orderRetreat(bot, gorilla);
+                continue;
+            }
+            this.retreating.delete(bot.id);
+            (this.isWounded(bot) ? wounded : fit).push(bot);
+        }
+        const distSq = bot => (bot.x - gorilla.x) ** 2 + (bot.y - gorilla.y) ** 2;
+        const priority = bot => ATTACK_PRIORITY[this.personalityOf(bot)] ?? 1;
+        fit.sort((a, b) => priority(a) - priority(b) || distSq(a) - distSq(b));
+        wounded.sort((a, b) => b.hp - a.hp || distSq(a) - distSq(b));
+        while (fit.length < MIN_ATTACKERS && wounded.length > 0) {
+            fit.push(wounded.shift());
+        }
+        wounded.forEach(bot => this.orderRetreat(bot, gorilla));
+
+        // The baiter (or the real players already fighting) anchors the ring the flankers spread around.
+        // It is whichever attacker is closest to the gorilla, so the gorilla goes for it first, and it
+        // keeps the job while it is still attacking.
+        const attackers = fit.slice(0, MAX_FLANKERS + 1);
+        let baiter = null;
+        if (engagedPlayers.length === 0 && attackers.length > 0) {
+            baiter = attackers.find(bot => (previousOrders.get(bot.id) || {}).role === 'baiter') ||
+                attackers.reduce((nearest, bot) => (distSq(bot) < distSq(nearest) ? bot : nearest));
+        }
+        const flankers = attackers.filter(bot => bot !== baiter).slice(0, MAX_FLANKERS);
+        const reserves = fit.slice(attackers.length);
+        const anchors = baiter ? [baiter] : engagedPlayers;
+        if (baiter) {
+            this.orders.set(baiter.id, { role: 'baiter', x: gorilla.x, y: gorilla.y, engage: true });
+        }
+        this.orderFlankers(flankers, anchors, gorilla, previousOrders, currentTime);
+        reserves.forEach(bot => this.orderReserve(bot, gorilla, realPlayers));
+        return this.orders;
+    }
+
+    personalityOf(bot) {
+        const botState = this.aiBotSystem.bots.get(bot.id);
+        return botState ? botState.personality : null;
+    }
+
+    // At or below the bot's flee threshold; tanks never count as wounded
+    isWounded(bot) {
+        const botState = this.aiBotSystem.bots.get(bot.id);
+        return !!botState && botState.personality !== 'tank' && bot.hp <= botState.profile.fleeHpThreshold;
+    }
+
+    // A point `distance` from the gorilla in the given direction
+    pointFromGorilla(gorilla, angle, distance) {
+        return { x: gorilla.x + Math.cos(angle) * distance, y: gorilla.y + Math.sin(angle) * distance };
+    }
+
+    orderFlankers(flankers, anchors, gorilla, previousOrders, currentTime) {
+        if (flankers.length === 0) return;
+        const angleTo = body => Math.atan2(body.y - gorilla.y, body.x - gorilla.x);
+        const slotCount = anchors.length + flankers.length;
+        const baseAngle = anchors.length > 0 ? angleTo(anchors[0]) : angleTo(flankers[0]);
+        const slots = [];
+        for (let i = 0; i < slotCount; i++) {
+            slots.push({ angle: baseAngle + 2 * Math.PI * i / slotCount, taken: false });
+        }
+        // Anchors hold the slots nearest them; each flanker then takes the free slot nearest it
+        const takeNearestSlot = angle => {
+            let best = null;
+            for (const slot of slots) {
+                if (!slot.taken && (!best || angleBetween(slot.angle, angle) < angleBetween(best.angle, angle))) best = slot;
+            }
+            best.taken = true;
+            return best;
+        };
+        anchors.forEach(anchor => takeNearestSlot(angleTo(anchor)));
+
+        const punchRecharging = currentTime - gorilla.lastAttackTime < gorilla.punchCooldownMs;
+        const assigned = flankers.map(bot => {
+            const slot = takeNearestSlot(angleTo(bot));
+            const slotDistance = this.aiBotSystem.getGorillaReach(bot, gorilla) + SURROUND_MARGIN;
+            const point = this.pointFromGorilla(gorilla, slot.angle, slotDistance);
+            // The gorilla keeps moving, so "in place" is near the ring and within half a slot of its own
+            const inPlace = Math.hypot(bot.x - gorilla.x, bot.y - gorilla.y) <= slotDistance + SLOT_REACHED_DISTANCE &&
+                angleBetween(angleTo(bot), slot.angle) <= Math.PI / slotCount;
+            return { bot, point, inPlace };
+        });
+        const surrounded = assigned.every(flank => flank.inPlace);
+        for (const { bot, point, inPlace } of assigned) {
+            const previous = previousOrders.get(bot.id);
+            const behindGorilla = angleBetween(angleTo(bot), gorilla.facing || 0) >= FLANK_ANGLE;
+            // Once a flanker goes in it keeps going, rather than backing off as it leaves its slot
+            const engage = (previous && previous.role === 'flanker' && previous.engage) ||
+                surrounded || (inPlace && (behindGorilla || punchRecharging));
+            this.orders.set(bot.id, { role: 'flanker', x: point.x, y: point.y, engage });
+        }
+    }
+
+    orderReserve(bot, gorilla, realPlayers) {
+        const waitDistance = this.aiBotSystem.getGorillaReach(bot, gorilla) + RESERVE_MARGIN;
+        let nearest = null;
+        let nearestDist = GROUP_DISTANCE;
+        for (const player of realPlayers) {
+            const dist = Math.hypot(player.x - bot.x, player.y - bot.y);
+            if (dist <= nearestDist) {
+                nearest = player;
+                nearestDist = dist;
+            }
+        }
+        const from = nearest || bot; // Stand behind that player, or else just back off where the bot is
+        const angle = Math.atan2(from.y - gorilla.y, from.x - gorilla.x);
+        const fromDist = Math.hypot(from.x - gorilla.x, from.y - gorilla.y);
+        const distance = nearest ? Math.max(waitDistance, fromDist + GROUP_OFFSET) : waitDistance;
+        const point = this.pointFromGorilla(gorilla, angle, distance);
+        this.orders.set(bot.id, { role: 'reserve', x: point.x, y: point.y, engage: false });
+    }
+
+    orderRetreat(bot, gorilla) {
+        const cover = this.findCover(bot, gorilla);
+        // With no cover anywhere, at least keep out of reach
+        const point = cover || this.pointFromGorilla(gorilla, Math.atan2(bot.y - gorilla.y, bot.x - gorilla.x),
+            this.aiBotSystem.getGorillaReach(bot, gorilla) + RESERVE_MARGIN);
+        this.orders.set(bot.id, { role: 'retreat', x: point.x, y: point.y, engage: false });
+    }
+
+    /**
+     * The nearest walkable point to a bot that the gorilla can't see, behind one of the map's obstacles.
+     * @returns {{x: number, y: number}|null} Null if the map has no such point.
+     */
+    findCover(bot, gorilla) {
+        const grid = this.aiBotSystem.getNavGrid(this.balance.human.body_radius);
+        if (this.coverObstacles !== this.aiBotSystem.obstacles) { // The map changed
+            this.coverObstacles = this.aiBotSystem.obstacles;
+            const offset = this.balance.human.body_radius + COVER_GAP;
+            this.coverPoints = this.coverObstacles.flatMap(obstacle => coverPointsAround(obstacle, offset))
+                .filter(point => isWalkable(grid, point.x, point.y));
+        }
+        let best = null;
+        let bestDist = Infinity;
+        for (const point of this.coverPoints) {
+            const dist = Math.hypot(point.x - bot.x, point.y - bot.y);
+            if (dist >= bestDist || Math.hypot(point.x - gorilla.x, point.y - gorilla.y) < MIN_COVER_DISTANCE) continue;
+            if (hasLineOfSight(grid, gorilla.x, gorilla.y, point.x, point.y)) continue;
+            best = point;
+            bestDist = dist;
+        }
+        return best;
+    }
+
+    removeBot(botId) {
+        this.orders.delete(botId);
+        this.retreating.delete(botId);
+    }
+
+    // Forget every order, e.g. at the start of a round
+    reset() {
+        this.orders.clear();
+        this.retreating.clear();
+        this.lastUpdateTime = -Infinity;
+    }
+}
+
+module.exports = SquadTacticsSystem;
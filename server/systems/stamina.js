@@ -9,22 +9,27 @@ class StaminaSystem {
      * Attempts to consume stamina for a player's action.
      * Player object is expected to have `role` and `st` (current stamina) properties.
      * @param {object} player - The player object (e.g., { id: 'abc', role: 'human', st: 50 })
+     * @param {number} [cost] - Stamina to spend. Defaults to the role's `stamina_per_punch`.
      * @returns {boolean} - True if stamina was sufficient and consumed, false otherwise.
      */
-    consumeStamina(player) {
+    consumeStamina(player, cost) {
         if (!player || !player.role || typeof player.st !== 'number') {
             console.error("StaminaSystem.consumeStamina: Invalid player object or missing 'st' property.", player);
             return false;
         }
 
-        const roleConfig = this.balance[player.role];
-        if (!roleConfig || typeof roleConfig.stamina_per_punch !== 'number') {
-            console.error(`StaminaSystem.consumeStamina: Missing 'stamina_per_punch' for role ${player.role} in balance config.`, roleConfig);
+        if (cost === undefined) {
+            const roleConfig = this.balance[player.role];
+            if (!roleConfig || typeof roleConfig.stamina_per_punch !== 'number') {
+                console.error(`StaminaSystem.consumeStamina: Missing 'stamina_per_punch' for role ${player.role} in balance config.`, roleConfig);
+                return false;
+            }
+            cost = roleConfig.stamina_per_punch;
+        } else if (typeof cost !== 'number' || cost < 0) {
+            console.error(`StaminaSystem.consumeStamina: Invalid stamina cost for role ${player.role}.`, cost);
             return false;
         }
 
-        const cost = roleConfig.stamina_per_punch;
-
         if (player.st >= cost) {
             player.st -= cost;
             return true;
@@ -0,0 +1,92 @@
+// server/systems/statusEffects.js
+
+// "stun": no input is accepted and the player doesn't move on their own (knockback still applies).
+// "slow": moveSpeed is multiplied by the effect's magnitude.
+// "invulnerable": hits and abilities deal no damage and no knockback.
+const STATUS_TYPES = ['stun', 'slow', 'invulnerable'];
+
+class StatusEffectSystem {
+    /**
+     * Manages the timed status effects in each player's synced `statusEffects` list.
+     * @param {Function} EffectSchema - Schema class for list entries ({ type, expiresAt, magnitude }).
+     * @param {function(): number} getTime - Returns the current server time (room.clock.currentTime).
+     */
+    constructor(EffectSchema, getTime) {
+        this.EffectSchema = EffectSchema;
+        this.getTime = getTime;
+    }
+
+    /**
+     * Applies an effect. Re-applying an active effect extends it to whichever ends later
+     * and keeps the stronger magnitude (the lower multiplier, for slows).
+     * @param {object} player - The player receiving the effect.
+     * @param {string} type - One of STATUS_TYPES.
+     * @param {number} durationMs - How long the effect lasts.
+     * @param {number} [magnitude] - Effect strength, e.g. the speed multiplier for "slow".
+     */
+    apply(player, type, durationMs, magnitude = 1) {
+        if (!player || !player.statusEffects || !STATUS_TYPES.includes(type)) return;
+        if (typeof durationMs !== 'number' || durationMs <= 0) return;
+
+        const expiresAt = this.getTime() + durationMs;
+        const existing = player.statusEffects.find(effect => effect.type === type);
+        if (existing) {
+            existing.expiresAt = Math.max(existing.expiresAt, expiresAt);
+            existing.magnitude = type === 'slow' ? Math.min(existing.magnitude, magnitude) : Math.max(existing.magnitude, magnitude);
+            return;
+        }
+        const effect = new this.EffectSchema();
+        effect.type = type;
+        effect.expiresAt = expiresAt;
+        effect.magnitude = magnitude;
+        player.statusEffects.push(effect);
+    }
+
+    /**
+     * @param {object} player
+     * @param {string} type - One of STATUS_TYPES.
+     * @returns {boolean} True if the player currently has the effect.
+     */
+    has(player, type) {
+        if (!player || !player.statusEffects) return false;
+        const now = this.getTime();
+        return player.statusEffects.some(effect => effect.type === type && effect.expiresAt > now);
+    }
+
+    /**
+     * @param {object} player
+     * @returns {number} Multiplier to apply to the player's moveSpeed (1 when not slowed).
+     */
+    getSpeedMultiplier(player) {
+        if (!this.has(player, 'slow')) return 1;
+        return player.statusEffects.find(effect => effect.type === 'slow').magnitude;
+    }
+
+    /**
+     * Removes expired effects. Call once per simulation tick.
+     * @param {Iterable<object>} players
+     */
+    update(players) {
+        const now = this.getTime();
+        for (const player of players) {
+            if (!player.statusEffects) continue;
+            for (let i = player.statusEffects.length - 1; i >= 0; i--) {
+                if (player.statusEffects[i].expiresAt <= now) {
+                    player.statusEffects.splice(i, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Removes every effect from a player, e.g. on respawn or when a round starts.
+     * @param {object} player
+     */
+    clear(player) {
+        if (player && player.statusEffects) {
+            player.statusEffects.clear();
+        }
+    }
+}
+
+module.exports = StatusEffectSystem;
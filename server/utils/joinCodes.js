@@ -0,0 +1,43 @@
+// server/utils/joinCodes.js
+const crypto = require('node:crypto');
+
+// Short codes players type in to join a private room. The code doubles as the room's id, so it
+// must be unique among open rooms; it is released when the room is disposed.
+const CODE_LENGTH = 6;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, which are easily mixed up
+const MAX_ATTEMPTS = 100;
+
+const codesInUse = new Set();
+
+function randomCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Picks a join code no open room is using and marks it as taken.
+ * @returns {string}
+ * @throws {Error} If no free code was found (practically only with millions of open rooms).
+ */
+function reserveJoinCode() {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const code = randomCode();
+        if (!codesInUse.has(code)) {
+            codesInUse.add(code);
+            return code;
+        }
+    }
+    throw new Error("Could not find a free join code");
+}
+
+/**
+ * @param {string} code - A code from reserveJoinCode, free to be handed out again.
+ */
+function releaseJoinCode(code) {
+    codesInUse.delete(code);
+}
+
+module.exports = { reserveJoinCode, releaseJoinCode };
@@ -0,0 +1,181 @@
+// server/utils/mapLoader.js
+const fs = require('node:fs');
+const path = require('node:path');
+const { circleRectCollision, circleCircleCollision } = require('./collision');
+
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+const DEFAULT_MAP_ID = 'twin_walls';
+const MAP_ID_PATTERN = /^[a-z0-9_-]+$/; // Map ids double as file names, so keep them path-safe
+const SPAWN_ROLES = ['gorilla', 'human'];
+
+/**
+ * Map file format (server/maps/<id>.json):
+ * {
+ *   "id": "twin_walls",                        // Must match the file name
+ *   "width": 100, "height": 100,               // Arena size in world units
+ *   "metadata": { "name": "...", "description": "...", "author": "...", "version": 1 },
+ *   "obstacles": [
+ *     { "type": "rect", "x": 20, "y": 20, "width": 10, "height": 60 },   // x/y = top-left corner
+ *     { "type": "circle", "x": 50, "y": 50, "radius": 5 }                // x/y = center
+ *   ],
+ *   "spawnZones": {                            // Rectangles, at least one per role
+ *     "gorilla": [{ "x": 40, "y": 40, "width": 20, "height": 20 }],
+ *     "human": [{ "x": 2, "y": 2, "width": 16, "height": 96 }]
+ *   }
+ * }
+ */
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function rectsOverlap(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x &&
+           a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+function obstaclesOverlap(a, b) {
+    if (a.type === 'circle' && b.type === 'circle') {
+        return circleCircleCollision(a.x, a.y, a.radius, b.x, b.y, b.radius);
+    }
+    if (a.type === 'circle') return circleRectCollision(a.x, a.y, a.radius, b.x, b.y, b.width, b.height);
+    if (b.type === 'circle') return circleRectCollision(b.x, b.y, b.radius, a.x, a.y, a.width, a.height);
+    return rectsOverlap(a, b);
+}
+
+function validateRect(rect, label, mapData, errors) {
+    if (!isFiniteNumber(rect.x) || !isFiniteNumber(rect.y) || !isPositiveNumber(rect.width) || !isPositiveNumber(rect.height)) {
+        errors.push(`${label} needs numeric x, y and positive width, height`);
+        return false;
+    }
+    if (rect.x < 0 || rect.y < 0 || rect.x + rect.width > mapData.width || rect.y + rect.height > mapData.height) {
+        errors.push(`${label} is out of bounds`);
+        return false;
+    }
+    return true;
+}
+
+function validateObstacle(obs, label, mapData, errors) {
+    if (!obs || typeof obs !== 'object') {
+        errors.push(`${label} must be an object`);
+        return false;
+    }
+    if (obs.type === 'rect') {
+        return validateRect(obs, label, mapData, errors);
+    }
+    if (obs.type === 'circle') {
+        if (!isFiniteNumber(obs.x) || !isFiniteNumber(obs.y) || !isPositiveNumber(obs.radius)) {
+            errors.push(`${label} needs numeric x, y and a positive radius`);
+            return false;
+        }
+        if (obs.x - obs.radius < 0 || obs.y - obs.radius < 0 || obs.x + obs.radius > mapData.width || obs.y + obs.radius > mapData.height) {
+            errors.push(`${label} is out of bounds`);
+            return false;
+        }
+        return true;
+    }
+    errors.push(`${label} has unknown type "${obs.type}" (expected "rect" or "circle")`);
+    return false;
+}
+
+/**
+ * Validates parsed map data. Rejects missing fields, out-of-bounds geometry and
+ * overlapping obstacles.
+ * @param {object} mapData - Parsed map JSON.
+ * @returns {string[]} A list of problems; empty when the map is valid.
+ */
+function validateMap(mapData) {
+    const errors = [];
+    if (!mapData || typeof mapData !== 'object') {
+        return ['map must be a JSON object'];
+    }
+    if (typeof mapData.id !== 'string' || !MAP_ID_PATTERN.test(mapData.id)) {
+        errors.push('id must be a lowercase string of letters, digits, "_" or "-"');
+    }
+    if (!isPositiveNumber(mapData.width) || !isPositiveNumber(mapData.height)) {
+        errors.push('width and height must be positive numbers');
+        return errors; // Everything else is checked against the bounds
+    }
+    if (!mapData.metadata || typeof mapData.metadata.name !== 'string') {
+        errors.push('metadata.name is required');
+    }
+
+    if (!Array.isArray(mapData.obstacles)) {
+        errors.push('obstacles must be an array');
+    } else {
+        const validObstacles = [];
+        mapData.obstacles.forEach((obs, i) => {
+            if (validateObstacle(obs, `obstacles[${i}]`, mapData, errors)) {
+                validObstacles.push({ obs, i });
+            }
+        });
+        for (let a = 0; a < validObstacles.length; a++) {
+            for (let b = a + 1; b < validObstacles.length; b++) {
+                if (obstaclesOverlap(validObstacles[a].obs, validObstacles[b].obs)) {
+                    errors.push(`obstacles[${validObstacles[a].i}] overlaps obstacles[${validObstacles[b].i}]`);
+                }
+            }
+        }
+    }
+
+    if (!mapData.spawnZones || typeof mapData.spawnZones !== 'object') {
+        errors.push('spawnZones is required');
+    } else {
+        for (const role of SPAWN_ROLES) {
+            const zones = mapData.spawnZones[role];
+            if (!Array.isArray(zones) || zones.length === 0) {
+                errors.push(`spawnZones.${role} must be a non-empty array`);
+                continue;
+            }
+            zones.forEach((zone, i) => validateRect(zone || {}, `spawnZones.${role}[${i}]`, mapData, errors));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Lists the ids of all map files in server/maps.
+ * @returns {string[]}
+ */
+function listMaps() {
+    return fs.readdirSync(MAPS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .filter(id => MAP_ID_PATTERN.test(id))
+        .sort();
+}
+
+/**
+ * Loads and validates a map from server/maps/<mapId>.json.
+ * Obstacles without a type are treated as rectangles.
+ * @param {string} [mapId] - Map id; defaults to DEFAULT_MAP_ID.
+ * @returns {object} The validated map data.
+ * @throws {Error} If the id is malformed, the file can't be read, or the map is invalid.
+ */
+function loadMap(mapId = DEFAULT_MAP_ID) {
+    if (typeof mapId !== 'string' || !MAP_ID_PATTERN.test(mapId)) {
+        throw new Error(`Invalid map id: ${JSON.stringify(mapId)}`);
+    }
+    const mapPath = path.join(MAPS_DIR, `${mapId}.json`);
+    const mapData = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+    if (Array.isArray(mapData.obstacles)) {
+        mapData.obstacles.forEach(obs => {
+            if (obs && obs.type === undefined) obs.type = 'rect';
+        });
+    }
+
+    const errors = validateMap(mapData);
+    if (mapData.id !== mapId) {
+        errors.push(`id "${mapData.id}" does not match file name "${mapId}"`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid map "${mapId}": ${errors.join('; ')}`);
+    }
+    return mapData;
+}
+
+module.exports = { loadMap, validateMap, listMaps, DEFAULT_MAP_ID };
@@ -0,0 +1,230 @@
+// server/utils/navGrid.js
+const { collidesWithObstacle } = require('./collision');
+
+// Bot navigation: the map is cut into square cells, and a cell is walkable if a body of the
+// given radius centered on it clears every obstacle and the map edge. Paths are found with A*
+// over the cells (8 directions, no cutting past blocked corners) and then smoothed, so bots
+// walk straight lines between the corners they actually need to go around.
+const DEFAULT_CELL_SIZE = 1; // World units per cell
+const CLEARANCE = 0.2; // Extra room kept from obstacles, so paths don't graze walls
+const MAX_SNAP_CELLS = 10; // How far to look for a walkable cell when a start or goal is blocked
+const DIAGONAL_COST = Math.SQRT2;
+const NEIGHBORS = [ // dx, dy, cost
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, DIAGONAL_COST], [1, -1, DIAGONAL_COST], [-1, 1, DIAGONAL_COST], [-1, -1, DIAGONAL_COST]
+];
+
+/**
+ * Builds the walkability grid for bodies of one radius.
+ * @param {Iterable<object>} obstacles - Map obstacles (see collision.collidesWithObstacle).
+ * @param {number} mapWidth
+ * @param {number} mapHeight
+ * @param {number} bodyRadius - Radius of the bodies that will walk this grid.
+ * @param {number} [cellSize]
+ * @returns {{cellSize: number, cols: number, rows: number, bodyRadius: number, blocked: Uint8Array}}
+ */
+function buildNavGrid(obstacles, mapWidth, mapHeight, bodyRadius, cellSize = DEFAULT_CELL_SIZE) {
+    const cols = Math.max(1, Math.ceil(mapWidth / cellSize));
+    const rows = Math.max(1, Math.ceil(mapHeight / cellSize));
+    const blocked = new Uint8Array(cols * rows);
+    const obstacleList = Array.from(obstacles);
+    const radius = bodyRadius + CLEARANCE;
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const x = (col + 0.5) * cellSize;
+            const y = (row + 0.5) * cellSize;
+            const outside = x < bodyRadius || y < bodyRadius || x > mapWidth - bodyRadius || y > mapHeight - bodyRadius;
+            if (outside || obstacleList.some(obs => collidesWithObstacle(x, y, radius, obs))) {
+                blocked[row * cols + col] = 1;
+            }
+        }
+    }
+    return { cellSize, cols, rows, bodyRadius, blocked };
+}
+
+function cellOf(grid, x, y) {
+    const col = Math.min(grid.cols - 1, Math.max(0, Math.floor(x / grid.cellSize)));
+    const row = Math.min(grid.rows - 1, Math.max(0, Math.floor(y / grid.cellSize)));
+    return row * grid.cols + col;
+}
+
+function cellCenter(grid, cell) {
+    return {
+        x: (cell % grid.cols + 0.5) * grid.cellSize,
+        y: (Math.floor(cell / grid.cols) + 0.5) * grid.cellSize
+    };
+}
+
+/**
+ * @param {object} grid - From buildNavGrid.
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean} Whether the cell containing the point is walkable.
+ */
+function isWalkable(grid, x, y) {
+    return grid.blocked[cellOf(grid, x, y)] === 0;
+}
+
+/**
+ * Whether a body can walk in a straight line between two points (every cell along it is walkable).
+ * @param {object} grid - From buildNavGrid.
+ * @returns {boolean}
+ */
+function hasLineOfSight(grid, x0, y0, x1, y1) {
+    const distance = Math.hypot(x1 - x0, y1 - y0);
+    const steps = Math.ceil(distance / (grid.cellSize / 2));
+    for (let i = 0; i <= steps; i++) {
+        const t = steps === 0 ? 0 : i / steps;
+        if (!isWalkable(grid, x0 + (x1 - x0) * t, y0 + (y1 - y0) * t)) return false;
+    }
+    return true;
+}
+
+// Closest walkable cell to a blocked one (e.g. a bot knocked into a wall's margin), or -1
+function nearestWalkableCell(grid, cell) {
+    if (grid.blocked[cell] === 0) return cell;
+    const col = cell % grid.cols;
+    const row = Math.floor(cell / grid.cols);
+    for (let ring = 1; ring <= MAX_SNAP_CELLS; ring++) {
+        let best = -1;
+        let bestDistSq = Infinity;
+        for (let dy = -ring; dy <= ring; dy++) {
+            for (let dx = -ring; dx <= ring; dx++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue; // Only this ring's edge
+                const c = col + dx;
+                const r = row + dy;
+                if (c < 0 || r < 0 || c >= grid.cols || r >= grid.rows) continue;
+                const candidate = r * grid.cols + c;
+                if (grid.blocked[candidate] === 0 && dx * dx + dy * dy < bestDistSq) {
+                    best = candidate;
+                    bestDistSq = dx * dx + dy * dy;
+                }
+            }
+        }
+        if (best !== -1) return best;
+    }
+    return -1;
+}
+
+// Binary min-heap of { cell, f } entries. A cell is pushed again when a cheaper route to it is
+// found; the older entry is skipped when popped (see findPath's closed check).
+function pushOpen(heap, cell, f) {
+    heap.push({ cell, f });
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].f <= heap[i].f) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function popOpen(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+            if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top.cell;
+}
+
+// Octile distance between cells: exact for 8-direction movement on an empty grid
+function heuristic(grid, a, b) {
+    const dx = Math.abs(a % grid.cols - b % grid.cols);
+    const dy = Math.abs(Math.floor(a / grid.cols) - Math.floor(b / grid.cols));
+    return Math.max(dx, dy) + (DIAGONAL_COST - 1) * Math.min(dx, dy);
+}
+
+// Drops every waypoint that can be skipped by walking straight to a later one
+function smoothPath(grid, startX, startY, points) {
+    const smoothed = [];
+    let fromX = startX;
+    let fromY = startY;
+    let i = 0;
+    while (i < points.length) {
+        let furthest = i;
+        for (let j = points.length - 1; j > i; j--) {
+            if (hasLineOfSight(grid, fromX, fromY, points[j].x, points[j].y)) {
+                furthest = j;
+                break;
+            }
+        }
+        smoothed.push(points[furthest]);
+        fromX = points[furthest].x;
+        fromY = points[furthest].y;
+        i = furthest + 1;
+    }
+    return smoothed;
+}
+
+/**
+ * Finds a smoothed path between two points. Blocked start or goal points are moved to the
+ * nearest walkable cell first.
+ * @param {object} grid - From buildNavGrid.
+ * @param {number} startX
+ * @param {number} startY
+ * @param {number} goalX
+ * @param {number} goalY
+ * @returns {Array<{x: number, y: number}>|null} Waypoints after the start, ending at the goal
+ *          (or the walkable cell nearest it); null if the goal can't be reached.
+ */
+function findPath(grid, startX, startY, goalX, goalY) {
+    const start = nearestWalkableCell(grid, cellOf(grid, startX, startY));
+    const goal = nearestWalkableCell(grid, cellOf(grid, goalX, goalY));
+    if (start === -1 || goal === -1) return null;
+    const goalPoint = goal === cellOf(grid, goalX, goalY) ? { x: goalX, y: goalY } : cellCenter(grid, goal);
+    if (start === goal) return [goalPoint];
+
+    const cellCount = grid.cols * grid.rows;
+    const gScore = new Float64Array(cellCount).fill(Infinity);
+    const cameFrom = new Int32Array(cellCount).fill(-1);
+    const closed = new Uint8Array(cellCount);
+    const open = [];
+    gScore[start] = 0;
+    pushOpen(open, start, heuristic(grid, start, goal));
+
+    while (open.length > 0) {
+        const current = popOpen(open);
+        if (current === goal) break;
+        if (closed[current]) continue; // Stale heap entry for a cell already expanded more cheaply
+        closed[current] = 1;
+        const col = current % grid.cols;
+        const row = Math.floor(current / grid.cols);
+        for (const [dx, dy, cost] of NEIGHBORS) {
+            const c = col + dx;
+            const r = row + dy;
+            if (c < 0 || r < 0 || c >= grid.cols || r >= grid.rows) continue;
+            const neighbor = r * grid.cols + c;
+            if (grid.blocked[neighbor] || closed[neighbor]) continue;
+            // Moving diagonally past a blocked corner would clip it
+            if (dx !== 0 && dy !== 0 && (grid.blocked[row * grid.cols + c] || grid.blocked[r * grid.cols + col])) continue;
+            const tentative = gScore[current] + cost;
+            if (tentative < gScore[neighbor]) {
+                gScore[neighbor] = tentative;
+                cameFrom[neighbor] = current;
+                pushOpen(open, neighbor, tentative + heuristic(grid, neighbor, goal));
+            }
+        }
+    }
+    if (cameFrom[goal] === -1) return null;
+
+    const points = [goalPoint];
+    for (let cell = cameFrom[goal]; cell !== start; cell = cameFrom[cell]) {
+        points.push(cellCenter(grid, cell));
+    }
+    points.reverse();
+    return smoothPath(grid, startX, startY, points);
+}
+
+module.exports = { buildNavGrid, findPath, hasLineOfSight, isWalkable, DEFAULT_CELL_SIZE };
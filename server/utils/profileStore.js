@@ -0,0 +1,201 @@
+// server/utils/profileStore.js
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { calculateRatingChanges, INITIAL_RATING } = require('./rating');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const PROFILES_PATH = path.join(DATA_DIR, 'profiles.json');
+const MATCH_DIR = path.join(DATA_DIR, 'matches');
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/; // Profile and match ids double as file names/keys, so keep them path-safe
+const MAX_RECENT_MATCHES = 10; // Match summaries kept on each profile
+const MAX_NICKNAME_LENGTH = 20;
+
+// Profiles live in memory once loaded and are written back as a whole file. Writes are
+// queued so two saves never interleave, and go through a temp file so a crash can't
+// leave a half-written profiles.json behind.
+let profilesById = null; // id -> profile, including its token
+let idsByToken = null; // token -> id
+let loading = null;
+let writeQueue = Promise.resolve();
+
+async function loadProfiles() {
+    if (profilesById) return;
+    if (!loading) {
+        loading = (async () => {
+            let stored = {};
+            try {
+                stored = JSON.parse(await fs.promises.readFile(PROFILES_PATH, 'utf8'));
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e; // Nothing saved yet is fine; a corrupt file is not
+            }
+            profilesById = new Map(Object.entries(stored));
+            idsByToken = new Map();
+            profilesById.forEach(profile => {
+                idsByToken.set(profile.token, profile.id);
+                profile.ratings = profile.ratings || newRatings(); // Profiles saved before ratings existed
+            });
+        })();
+        loading.catch(() => {
+            loading = null; // Let the next call retry
+        });
+    }
+    await loading;
+}
+
+function saveProfiles() {
+    const data = JSON.stringify(Object.fromEntries(profilesById));
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tempPath = `${PROFILES_PATH}.tmp`;
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, PROFILES_PATH);
+    });
+    return writeQueue;
+}
+
+// One rating per role (see utils/rating.js)
+function newRatings() {
+    return { gorilla: INITIAL_RATING, human: INITIAL_RATING };
+}
+
+// A profile without its token, safe to send to anyone
+function toPublicProfile(profile) {
+    const { token, ...publicProfile } = profile;
+    return publicProfile;
+}
+
+function sanitizeNickname(nickname) {
+    return typeof nickname === 'string' && nickname.trim() !== '' ? nickname.trim().substring(0, MAX_NICKNAME_LENGTH) : null;
+}
+
+/**
+ * Looks up the profile for a player token, creating a new profile (and token) if the token
+ * is missing or unknown. The nickname, if given, replaces the stored one.
+ * @param {string} [token] - The token the client was issued on its first connect.
+ * @param {string} [nickname]
+ * @returns {Promise<{token: string, profile: object}>} The (possibly new) token and the public profile.
+ */
+async function getOrCreateProfile(token, nickname) {
+    await loadProfiles();
+    const name = sanitizeNickname(nickname);
+    let profile = typeof token === 'string' ? profilesById.get(idsByToken.get(token)) : undefined;
+    let changed = true;
+    if (!profile) {
+        profile = {
+            id: crypto.randomUUID(),
+            token: crypto.randomBytes(24).toString('base64url'),
+            nickname: name || 'Player',
+            createdAt: new Date().toISOString(),
+            gamesAsGorilla: 0,
+            gamesAsHuman: 0,
+            wins: 0,
+            kills: 0,
+            ratings: newRatings(),
+            recentMatches: [] // Newest first, at most MAX_RECENT_MATCHES
+        };
+        profilesById.set(profile.id, profile);
+        idsByToken.set(profile.token, profile.id);
+    } else if (name && name !== profile.nickname) {
+        profile.nickname = name;
+    } else {
+        changed = false;
+    }
+    if (changed) await saveProfiles();
+    return { token: profile.token, profile: toPublicProfile(profile) };
+}
+
+/**
+ * @param {string} profileId
+ * @returns {Promise<object|null>} The public profile, or null if there is none.
+ */
+async function getProfile(profileId) {
+    if (typeof profileId !== 'string' || !ID_PATTERN.test(profileId)) return null;
+    await loadProfiles();
+    const profile = profilesById.get(profileId);
+    return profile ? toPublicProfile(profile) : null;
+}
+
+/**
+ * Looks up a profile without creating one, e.g. to match a player by rating before they join.
+ * @param {string} [token]
+ * @returns {Promise<object|null>} The public profile, or null if the token is missing or unknown.
+ */
+async function getProfileByToken(token) {
+    if (typeof token !== 'string') return null;
+    await loadProfiles();
+    const profile = profilesById.get(idsByToken.get(token));
+    return profile ? toPublicProfile(profile) : null;
+}
+
+/**
+ * Records a finished match: adds it to each participating profile's totals, role rating and history,
+ * then saves the match and the profiles. The in-memory part happens before this returns, so the results
+ * can be sent right away; only the writes are left to the returned promise. Every player with a
+ * profile had it loaded when they joined (see getOrCreateProfile), so no loading is needed here.
+ * Each scoreboard entry gets a `rating` field: { role, before, after, change } for players with a
+ * profile, null for bots and players without one.
+ * @param {object} match - { id, endedAt, mapId, result, durationMs, winningRole, players: [scoreboard entries] }
+ *                         Entries with a `profileId` (players, not bots) update that profile.
+ * @returns {Promise<void>} Resolves once everything is written.
+ */
+function recordMatch(match) {
+    if (!ID_PATTERN.test(match.id)) {
+        return Promise.reject(new Error(`Invalid match id: ${JSON.stringify(match.id)}`));
+    }
+
+    // profilesById is null only if profiles never loaded, in which case nobody in the match has one
+    const profileFor = entry => (profilesById && entry.profileId && profilesById.get(entry.profileId)) || null;
+    const ratingChanges = calculateRatingChanges(match.players.map(entry => {
+        const profile = profileFor(entry);
+        return { id: entry.id, role: entry.role, isBot: entry.isBot, rating: profile ? profile.ratings[entry.role] : null };
+    }), match.winningRole);
+
+    for (const entry of match.players) {
+        entry.rating = ratingChanges.get(entry.id) || null;
+        const profile = profileFor(entry);
+        if (!profile) continue;
+        if (entry.rating) profile.ratings[entry.role] = entry.rating.after;
+        const won = entry.role === match.winningRole;
+        if (entry.role === 'gorilla') profile.gamesAsGorilla++;
+        else profile.gamesAsHuman++;
+        if (won) profile.wins++;
+        profile.kills += entry.kills;
+        profile.recentMatches.unshift({
+            matchId: match.id,
+            endedAt: match.endedAt,
+            mapId: match.mapId,
+            result: match.result,
+            role: entry.role,
+            won,
+            kills: entry.kills,
+            damageDealt: entry.damageDealt,
+            livesLost: entry.livesLost,
+            ratingChange: entry.rating ? entry.rating.change : 0
+        });
+        profile.recentMatches.length = Math.min(profile.recentMatches.length, MAX_RECENT_MATCHES);
+    }
+
+    const data = JSON.stringify(match); // Before any await, so the file holds the match as it was recorded
+    return (async () => {
+        await fs.promises.mkdir(MATCH_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(MATCH_DIR, `${match.id}.json`), data);
+        if (profilesById) await saveProfiles();
+    })();
+}
+
+/**
+ * @param {string} matchId
+ * @returns {Promise<object|null>} The full match summary, or null if there is none.
+ */
+async function getMatch(matchId) {
+    if (typeof matchId !== 'string' || !ID_PATTERN.test(matchId)) return null;
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(MATCH_DIR, `${matchId}.json`), 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+module.exports = { getOrCreateProfile, getProfile, getProfileByToken, recordMatch, getMatch, DATA_DIR };
@@ -0,0 +1,65 @@
+// server/utils/rating.js
+
+// Elo ratings for an asymmetric game. Gorilla and human play are rated separately (a
+// player has one rating per role), and each side of a round is treated as a single
+// opponent whose strength is the average rating of everyone who played on it.
+const INITIAL_RATING = 1000;
+const BOT_RATING = 900; // Fixed strength bots contribute to their side; bots are never rated themselves
+const K_FACTOR = 32; // Largest possible change from one round
+
+/**
+ * @param {number} rating
+ * @param {number} opponentRating
+ * @returns {number} Expected score (0-1) against the opponent.
+ */
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function averageRating(participants) {
+    // Players without a profile still count towards their side, at the starting rating
+    const ratings = participants.map(p => (p.isBot ? BOT_RATING : (typeof p.rating === 'number' ? p.rating : INITIAL_RATING)));
+    return ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+}
+
+/**
+ * Single number used to match players of similar skill: the mean of their role ratings.
+ * @param {{gorilla: number, human: number}} ratings
+ * @returns {number}
+ */
+function getMatchmakingRating(ratings) {
+    return (ratings.gorilla + ratings.human) / 2;
+}
+
+/**
+ * Computes every rated participant's new rating after a round.
+ * @param {Array<object>} participants - { id, role: "gorilla"|"human", isBot, rating } for everyone who
+ *                                       played; `rating` is ignored for bots and null for unrated players.
+ * @param {string|null} winningRole - "gorilla", "human", or null for a draw.
+ * @returns {Map<string, {role: string, before: number, after: number, change: number}>} Changes by
+ *          participant id, for rated players only. Empty if either side had nobody on it.
+ */
+function calculateRatingChanges(participants, winningRole) {
+    const changes = new Map();
+    const gorillas = participants.filter(p => p.role === 'gorilla');
+    const humans = participants.filter(p => p.role === 'human');
+    if (gorillas.length === 0 || humans.length === 0) return changes;
+
+    const sideRatings = { gorilla: averageRating(gorillas), human: averageRating(humans) };
+    for (const participant of participants) {
+        if (participant.isBot || typeof participant.rating !== 'number') continue;
+        const opponentRole = participant.role === 'gorilla' ? 'human' : 'gorilla';
+        const expected = expectedScore(sideRatings[participant.role], sideRatings[opponentRole]);
+        const score = winningRole === null ? 0.5 : (winningRole === participant.role ? 1 : 0);
+        const change = Math.round(K_FACTOR * (score - expected));
+        changes.set(participant.id, {
+            role: participant.role,
+            before: participant.rating,
+            after: participant.rating + change,
+            change
+        });
+    }
+    return changes;
+}
+
+module.exports = { calculateRatingChanges, expectedScore, getMatchmakingRating, INITIAL_RATING, BOT_RATING };
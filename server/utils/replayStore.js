@@ -0,0 +1,59 @@
+// server/utils/replayStore.js
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { promisify } = require('node:util');
+
+const gzip = promisify(zlib.gzip);
+
+const REPLAY_DIR = path.join(__dirname, '..', 'replays');
+const REPLAY_ID_PATTERN = /^[A-Za-z0-9_-]+$/; // Replay ids double as file names, so keep them path-safe
+const REPLAY_FILE_SUFFIX = '.json.gz';
+
+/**
+ * Writes a replay (see systems/replayRecorder.js for the format) to
+ * server/replays/<replay.id>.json.gz, creating the directory if needed.
+ * @param {object} replay - The finished replay.
+ * @returns {Promise<string>} Resolves to the written file's path.
+ */
+async function saveReplay(replay) {
+    if (!REPLAY_ID_PATTERN.test(replay.id)) {
+        throw new Error(`Invalid replay id: ${JSON.stringify(replay.id)}`);
+    }
+    await fs.promises.mkdir(REPLAY_DIR, { recursive: true });
+    const replayPath = path.join(REPLAY_DIR, `${replay.id}${REPLAY_FILE_SUFFIX}`);
+    await fs.promises.writeFile(replayPath, await gzip(JSON.stringify(replay)));
+    return replayPath;
+}
+
+/**
+ * Lists saved replay ids, newest first (ids start with the recording timestamp).
+ * @returns {Promise<string[]>}
+ */
+async function listReplays() {
+    let files;
+    try {
+        files = await fs.promises.readdir(REPLAY_DIR);
+    } catch (e) {
+        if (e.code === 'ENOENT') return []; // Nothing recorded yet
+        throw e;
+    }
+    return files
+        .filter(file => file.endsWith(REPLAY_FILE_SUFFIX))
+        .map(file => file.slice(0, -REPLAY_FILE_SUFFIX.length))
+        .filter(id => REPLAY_ID_PATTERN.test(id))
+        .sort()
+        .reverse();
+}
+
+/**
+ * Returns the path of a saved replay's gzipped JSON file.
+ * @param {string} replayId
+ * @returns {string|null} The path, or null if the id is malformed.
+ */
+function getReplayPath(replayId) {
+    if (typeof replayId !== 'string' || !REPLAY_ID_PATTERN.test(replayId)) return null;
+    return path.join(REPLAY_DIR, `${replayId}${REPLAY_FILE_SUFFIX}`);
+}
+
+module.exports = { saveReplay, listReplays, getReplayPath, REPLAY_DIR };
@@ -0,0 +1,61 @@
+// server/utils/rng.js
+const crypto = require('node:crypto');
+
+/**
+ * Small, fast seeded PRNG (mulberry32). The same seed always yields the same sequence,
+ * so a round can be reproduced from its seed and input log.
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit unsigned integer seed.
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restarts the sequence from a new seed.
+     * @param {number} seed - 32-bit unsigned integer seed.
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} A float in [0, 1), like Math.random().
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} maxExclusive - Upper bound (exclusive).
+     * @returns {number} An integer in [0, maxExclusive).
+     */
+    nextInt(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    /**
+     * @param {Array} array - A non-empty array.
+     * @returns {*} A random element of the array.
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+}
+
+/**
+ * Creates a fresh, non-deterministic seed for a new round.
+ * @returns {number} 32-bit unsigned integer seed.
+ */
+function generateSeed() {
+    return crypto.randomInt(0, 0x100000000);
+}
+
+module.exports = { SeededRandom, generateSeed };
@@ -0,0 +1,108 @@
+// server/utils/roomRules.js
+const { DEFAULT_MAP_ID } = require('./mapLoader');
+
+// Rules a room is created with. Public (matchmade) rooms always use the defaults; the host of a
+// private room may pick their own, clamped to the bounds below so a room can't be made unplayable.
+const DEFAULT_RULES = {
+    roundDurationSeconds: 5 * 60,
+    countdownSeconds: 5,
+    botTargetTotalHumans: 10, // Target total humans (players + bots)
+    minReadyPlayers: 1, // Ready real players (gorilla included) needed before the lobby counts down
+    botDifficulty: null, // One of BOT_DIFFICULTIES; null lets AIBotSystem pick from how many bots are needed
+    gorillaBotWaitSeconds: 30, // How long the lobby waits for someone to queue as gorilla before a bot takes the role
+    mapId: DEFAULT_MAP_ID,
+    balanceOverrides: {} // role -> { balance.json key: value }
+};
+
+const RULE_BOUNDS = {
+    roundDurationSeconds: { min: 60, max: 15 * 60, integer: true },
+    countdownSeconds: { min: 3, max: 30, integer: true },
+    botTargetTotalHumans: { min: 0, max: 10, integer: true }, // 10 = every human slot (MatchRoom's MAX_PLAYERS - 1)
+    minReadyPlayers: { min: 1, max: 11, integer: true }, // 11 = a full room (MatchRoom's MAX_PLAYERS)
+    gorillaBotWaitSeconds: { min: 5, max: 300, integer: true }
+};
+
+const BOT_DIFFICULTIES = ['easy', 'normal', 'hard']; // AIBotSystem's difficulty profiles
+
+// The balance.json values a host may override, roughly the ranges documented next to them in balance.json
+const BALANCE_OVERRIDE_BOUNDS = {
+    gorilla: {
+        health: { min: 50, max: 300, integer: true },
+        move_speed: { min: 3, max: 6 },
+        stamina: { min: 20, max: 60, integer: true },
+        regen_per_sec: { min: 1, max: 5 },
+        punch_cooldown_ms: { min: 400, max: 1000, integer: true },
+        gorilla_nocrit_damage: { min: 1, max: 5, integer: true },
+        crit_kill_pct: { min: 0, max: 10 }
+    },
+    human: {
+        lives: { min: 1, max: 20, integer: true },
+        health: { min: 5, max: 20, integer: true },
+        move_speed: { min: 4, max: 6 },
+        stamina: { min: 30, max: 70, integer: true },
+        regen_per_sec: { min: 2, max: 6 },
+        punch_cooldown_ms: { min: 300, max: 700, integer: true },
+        damage_to_gorilla: { min: 1, max: 3, integer: true },
+        crit_kill_pct: { min: 0, max: 50 }
+    }
+};
+
+// Clamps a number into bounds; anything that isn't a finite number gives the fallback
+function clampToBounds(value, bounds, fallback) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+    const clamped = Math.min(bounds.max, Math.max(bounds.min, value));
+    return bounds.integer ? Math.round(clamped) : clamped;
+}
+
+function resolveBalanceOverrides(requested) {
+    const overrides = {};
+    if (!requested || typeof requested !== 'object') return overrides;
+    for (const role of Object.keys(BALANCE_OVERRIDE_BOUNDS)) {
+        const roleOverrides = requested[role];
+        if (!roleOverrides || typeof roleOverrides !== 'object') continue;
+        for (const [key, bounds] of Object.entries(BALANCE_OVERRIDE_BOUNDS[role])) {
+            const value = clampToBounds(roleOverrides[key], bounds, undefined);
+            if (value === undefined) continue;
+            overrides[role] = overrides[role] || {};
+            overrides[role][key] = value;
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Works out a room's rules from its create options. Only private rooms honor `options.rules`:
+ * { roundDurationSeconds, countdownSeconds, botTargetTotalHumans, minReadyPlayers, botDifficulty,
+ *   gorillaBotWaitSeconds, map, balance: { gorilla: {...}, human: {...} } }.
+ * Out-of-range values are clamped, and unknown or malformed ones fall back to the defaults.
+ * The top-level `map` create option is still honored for any room.
+ * @param {object} [options] - The room's create options.
+ * @returns {object} Rules shaped like DEFAULT_RULES.
+ */
+function resolveRoomRules(options) {
+    const rules = { ...DEFAULT_RULES, balanceOverrides: {} };
+    if (options && typeof options.map === 'string') rules.mapId = options.map;
+    const requested = options && options.private && options.rules;
+    if (!requested || typeof requested !== 'object') return rules;
+
+    for (const [key, bounds] of Object.entries(RULE_BOUNDS)) {
+        rules[key] = clampToBounds(requested[key], bounds, rules[key]);
+    }
+    if (BOT_DIFFICULTIES.includes(requested.botDifficulty)) rules.botDifficulty = requested.botDifficulty;
+    if (typeof requested.map === 'string') rules.mapId = requested.map; // Checked when the room loads it
+    rules.balanceOverrides = resolveBalanceOverrides(requested.balance);
+    return rules;
+}
+
+/**
+ * Writes resolved balance overrides (see resolveRoomRules) into a loaded balance config.
+ * @param {object} balance - { gorilla: {...}, human: {...} }, modified in place.
+ * @param {object} overrides
+ */
+function applyBalanceOverrides(balance, overrides) {
+    for (const [role, values] of Object.entries(overrides)) {
+        Object.assign(balance[role], values);
+    }
+}
+
+module.exports = { resolveRoomRules, applyBalanceOverrides, DEFAULT_RULES, RULE_BOUNDS, BALANCE_OVERRIDE_BOUNDS, BOT_DIFFICULTIES };